@@ -1,153 +1,831 @@
 const express = require('express');
-const { MultiServerMCPClient } = require('@langchain/mcp-adapters');
-const { ChatOpenAI } = require('@langchain/openai');
 const { createReactAgent } = require('@langchain/langgraph/prebuilt');
-const { OAuthClientProvider } = require('mcp-remote-oauth-client-provider');
+const { ToolMessage } = require('@langchain/core/messages');
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { EventEmitter } = require('events');
 const dotenv = require('dotenv');
 
+// 先加载.env，下面的模块在加载时读取环境变量
 dotenv.config();
 
+const { createStorage } = require('./src/storage');
+const {
+  verifySignature,
+  isFreshTimestamp,
+  decryptEvent,
+  normalizeEvent,
+  isDuplicateEvent,
+  getCommentEventFileToken
+} = require('./src/feishu-events');
+const { replyToComment, resolveComment } = require('./src/comment-actions');
+const { getDefaultTriggerPolicy, matchTrigger } = require('./src/trigger');
+const { PersistentCheckpointSaver } = require('./src/checkpointer');
+const { isWriteTool, filterReadOnlyTools } = require('./src/tools');
+const { getDefaultToolPolicy, checkToolCall } = require('./src/tool-policy');
+const { loadModelConfig, ModelRouter } = require('./src/models');
+const { loadMcpServersConfig, McpServerPool } = require('./src/mcp-servers');
+const { EventBus } = require('./src/event-bus');
+const { AuditLog } = require('./src/audit');
+const { createMetrics } = require('./src/metrics');
+const { getDefaultAuthorizationPolicy, authorizeCommenter } = require('./src/authorization');
+const {
+  isApiAuthEnabled,
+  isUnauthenticatedApiAllowed,
+  isLinkSigningEnabled,
+  requireApiKey,
+  getApiCaller,
+  signMonitorLink,
+  verifyMonitorLink,
+  isAllowedRedirect
+} = require('./src/auth');
+const { wrapTools, getToolOutputText, getToolOutputStatus } = require('./src/tool-hooks');
+const {
+  createRun,
+  getRun,
+  updateRun,
+  listRuns,
+  summarizeRun,
+  appendRunMessage,
+  recordToolCall,
+  addTokenUsage,
+  hasSnapshot,
+  saveSnapshot,
+  recordUnsnapshottedWrite,
+  getRollbackBlocker,
+  pruneSnapshots,
+  pruneRuns,
+  finishRun
+} = require('./src/runs');
+const { JobQueue } = require('./src/jobs');
+const {
+  getDefaultBudget,
+  formatDay,
+  toPeriodBound,
+  recordUsage,
+  queryUsage,
+  pruneUsage,
+  getBudgetStatus,
+  checkBudget,
+  formatBudgetMessage
+} = require('./src/usage');
+const { parseFeishuDocId, resolveWikiNode, describeFileType } = require('./src/feishu-doc');
+const { parseReply, formatCommentContext } = require('./src/comment-content');
+const { listAllComments, detectCommentChanges, normalizeComment } = require('./src/comments');
+const { isRollbackTool, captureDocumentBlocks, diffBlocks, restoreDocument, findCommentBlock } = require('./src/snapshots');
+const {
+  createProposal,
+  updateProposal,
+  getProposal,
+  getPendingProposal,
+  listProposals,
+  parseDecision
+} = require('./src/proposals');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// MCP客户端实例
+// 所有配置的MCP服务器（含连接失败的），用于状态查询和重新加载
+let mcpServerPool = null;
+
+// 可用的MCP客户端，至少一个服务器连接成功时指向 mcpServerPool，否则为null
 let mcpClient = null;
 
 // React Agent实例
 let reactAgent = null;
 
-// ChatOpenAI模型实例
-let chatModel = null;
+// 只持有只读工具的Agent实例，用于审批模式下生成修改计划
+let proposalAgent = null;
+
+// 大模型路由，负责按配置创建模型并在失败时回退
+let modelRouter = null;
+
+// 持久化存储（监控任务、评论缓存、已处理的回复ID、Agent对话检查点）
+const storage = createStorage();
+
+// Agent对话检查点，每个评论线程对应一个LangGraph thread_id
+const checkpointer = new PersistentCheckpointSaver(storage);
+
+// 服务内部事件总线，通过 GET /api/events 以SSE推送给外部
+const eventBus = new EventBus({ historySize: parseInt(process.env.EVENT_HISTORY_SIZE || '500') });
+
+// Agent工具调用审计日志（只追加的JSONL文件）
+const auditLog = new AuditLog();
+
+// Prometheus指标，监控数和MCP连接状态在采集时读取
+const metrics = createMetrics({
+  getActiveMonitorCount: () => storage.entries('monitors').length,
+  getMcpServers: () => mcpServerPool ? mcpServerPool.status() : []
+});
+
+// 发布与某次执行相关的事件，文档和任务从执行记录中获取
+function publishRunEvent(type, runId, data = {}) {
+  const run = runId ? getRun(storage, runId) : null;
+  eventBus.publish(type, {
+    documentId: run?.documentId || null,
+    jobId: run?.jobId || null,
+    runId,
+    ...data
+  });
+}
+
+// 写工具调用前保存文档快照，并把每次工具调用记录到对应的执行记录中
+// 不在只读名单中的工具都按写工具处理；无法用快照恢复的写操作记入执行记录，该执行不能回滚
+const runRecordHook = {
+  async before({ toolName, args, runId }) {
+    if (!runId || !isWriteTool(toolName)) {
+      return;
+    }
+    
+    if (!isRollbackTool(toolName)) {
+      recordUnsnapshottedWrite(storage, runId, { tool: toolName, reason: '该工具的修改无法通过文档快照恢复' });
+      return;
+    }
+    
+    // 未指定document_id时使用执行记录对应的文档，只有新版文档支持快照
+    let documentId = args.document_id;
+    const runDocumentId = getRun(storage, runId)?.documentId;
+    if (!documentId && runDocumentId) {
+      const target = await getDocumentTarget(runDocumentId);
+      documentId = target.fileType === 'docx' ? target.fileToken : null;
+    }
+    if (!documentId) {
+      recordUnsnapshottedWrite(storage, runId, { tool: toolName, reason: '无法确定要修改的新版文档' });
+      return;
+    }
+    if (hasSnapshot(storage, runId, documentId)) {
+      return;
+    }
+    
+    try {
+      const blocks = await captureDocumentBlocks(await mcpClient.getTools(), documentId);
+      saveSnapshot(storage, runId, documentId, 'before', blocks);
+      console.log(`📸 已保存文档 ${documentId} 的修改前快照 (${blocks.length} 个块)`);
+    } catch (error) {
+      // 拿不到快照就无法回滚，阻止本次写操作
+      throw new Error(`修改前保存文档快照失败，已阻止调用 ${toolName}: ${error.message}`);
+    }
+  },
+  after({ toolName, args, runId }, output) {
+    if (runId) {
+      const { success, message } = getToolOutputStatus(output);
+      recordToolCall(storage, runId, {
+        tool: toolName,
+        args,
+        status: success ? 'success' : 'error',
+        error: message,
+        at: new Date().toISOString()
+      });
+    }
+  },
+  error({ toolName, args, runId }, error) {
+    if (runId) {
+      recordToolCall(storage, runId, {
+        tool: toolName,
+        args,
+        status: 'error',
+        error: error.message,
+        at: new Date().toISOString()
+      });
+    }
+  }
+};
+
+// 按文档的工具策略检查每次调用，被拒绝的调用以错误形式返回给模型并写入执行记录
+const toolPolicyHook = {
+  async before({ toolName, args, runId }) {
+    const run = runId ? getRun(storage, runId) : null;
+    const documentId = run?.documentId || null;
+    const policy = documentId ? getMonitorOptions(documentId).tools : DEFAULT_MONITOR_OPTIONS.tools;
+    
+    // 知识库页面同时允许节点token和实际文档token；评论中引用的文档允许只读访问
+    let allowedDocuments = null;
+    if (documentId) {
+      const target = await getDocumentTarget(documentId);
+      allowedDocuments = [documentId, target.fileToken];
+      if (!isWriteTool(toolName) && run.commentId) {
+        const replies = findCachedComment(documentId, run.commentId)?.reply_list?.replies || [];
+        replies.forEach(reply => {
+          parseReply(reply).docLinks.forEach(link => allowedDocuments.push(link.token));
+        });
+      }
+    }
+    
+    const reason = checkToolCall(policy, toolName, args, allowedDocuments);
+    if (!reason) {
+      return;
+    }
+    
+    console.warn(`⛔ 拒绝工具调用 ${toolName}${documentId ? ` [${documentId}]` : ''}: ${reason}`);
+    publishRunEvent('agent.tool_call', runId, { tool: toolName, args, status: 'denied', error: reason });
+    writeAuditRecord(run, { toolName, args }, { status: 'denied', error: reason });
+    metrics.toolCalls.inc({ tool: toolName, status: 'denied' });
+    if (runId) {
+      recordToolCall(storage, runId, {
+        tool: toolName,
+        args,
+        status: 'denied',
+        error: reason,
+        at: new Date().toISOString()
+      });
+    }
+    throw new Error(`调用被策略拒绝：${reason}`);
+  }
+};
+
+// 把工具调用结果发布到事件总线并计入指标
+const toolEventHook = {
+  after({ toolName, args, runId }, output) {
+    const { success, message } = getToolOutputStatus(output);
+    const status = success ? 'success' : 'error';
+    publishRunEvent('agent.tool_call', runId, { tool: toolName, args, status, error: message });
+    metrics.toolCalls.inc({ tool: toolName, status });
+  },
+  error({ toolName, args, runId }, error) {
+    publishRunEvent('agent.tool_call', runId, { tool: toolName, args, status: 'error', error: error.message });
+    metrics.toolCalls.inc({ tool: toolName, status: 'error' });
+  }
+};
+
+// 写入一条工具调用审计记录，触发者信息取自执行记录
+function writeAuditRecord(run, { toolName, args }, { status, error = null, durationMs = null }) {
+  try {
+    auditLog.append({
+      runId: run?.id || null,
+      jobId: run?.jobId || null,
+      source: run?.source || null,
+      documentId: run?.documentId || null,
+      commentId: run?.commentId || null,
+      userId: run?.userId || null,
+      caller: run?.caller || null,
+      tool: toolName,
+      args,
+      status,
+      error,
+      durationMs
+    });
+  } catch (auditError) {
+    console.error('写入审计日志失败:', auditError.message);
+  }
+}
+
+// 每次工具调用写入审计日志，被策略拒绝的调用由策略钩子写入
+const auditHook = {
+  before(context) {
+    context.startedAt = Date.now();
+  },
+  after(context, output) {
+    const { success, message } = getToolOutputStatus(output);
+    writeAuditRecord(context.runId ? getRun(storage, context.runId) : null, context, {
+      status: success ? 'success' : 'error',
+      error: message,
+      durationMs: Date.now() - context.startedAt
+    });
+  },
+  error(context, error) {
+    writeAuditRecord(context.runId ? getRun(storage, context.runId) : null, context, {
+      status: 'error',
+      error: error.message,
+      durationMs: Date.now() - context.startedAt
+    });
+  }
+};
+
+// 提供给Agent的工具统一经过这些钩子，策略检查必须在最前面
+const toolHooks = [toolPolicyHook, runRecordHook, auditHook, toolEventHook];
+
+// Agent任务队列，评论触发的执行和审批通过的提案都在队列中执行
+const jobQueue = new JobQueue(storage, {
+  handler: (job, context) => runJob(job, context),
+  concurrency: parseInt(process.env.JOB_CONCURRENCY || '1'),
+  maxRetries: parseInt(process.env.JOB_MAX_RETRIES || '1'),
+  retryDelay: parseInt(process.env.JOB_RETRY_DELAY_MS || '5000')
+});
+
+// 任务状态变化发布为 job.<状态> 事件
+jobQueue.on('status', job => {
+  eventBus.publish(`job.${job.status}`, {
+    documentId: job.documentId,
+    jobId: job.id,
+    type: job.type,
+    commentId: job.commentId,
+    replyId: job.replyId,
+    attempts: job.attempts,
+    error: job.error,
+    runIds: job.runIds
+  });
+});
+
+// 评论变化事件：reply_added、reply_edited、reply_deleted、thread_resolved、thread_reopened
+// 监听器收到 { documentId, type, commentId, replyId?, comment, reply?, previousReply? }
+const commentEvents = new EventEmitter();
+
+function emitCommentChange(documentId, change) {
+  const target = change.replyId ? `${change.commentId}/${change.replyId}` : change.commentId;
+  console.log(`📝 评论变化 [${documentId}] ${change.type}: ${target}`);
+  eventBus.publish(`comment.${change.type}`, {
+    documentId,
+    commentId: change.commentId,
+    replyId: change.replyId || null,
+    userId: change.reply?.user_id || null,
+    text: change.reply ? parseReply(change.reply).text : null
+  });
+  try {
+    commentEvents.emit(change.type, { documentId, ...change });
+  } catch (error) {
+    console.error(`处理评论变化事件 ${change.type} 失败:`, error.message);
+  }
+}
+
+// 回复被删除后，取消尚未完成的对应任务
+commentEvents.on('reply_deleted', ({ documentId, replyId }) => {
+  jobQueue.list({ documentId, limit: Infinity })
+    .filter(job => job.replyId === replyId)
+    .forEach(job => {
+      if (jobQueue.cancel(job.id)) {
+        console.log(`🛑 回复 ${replyId} 已删除，取消任务 ${job.id}`);
+      }
+    });
+});
+
+// 线程被解决后，其中待审批的提案不再有效
+commentEvents.on('thread_resolved', ({ documentId, commentId }) => {
+  const pending = getPendingProposal(storage, documentId, commentId);
+  if (pending) {
+    updateProposal(storage, pending.id, { status: 'expired' });
+    console.log(`⌛ 评论 ${commentId} 已解决，提案 ${pending.id} 失效`);
+  }
+});
 
-// OAuth认证提供者实例
-let authProvider = null;
+// 文档快照的保留天数，超过后删除快照内容（执行记录保留），0表示永久保留
+const SNAPSHOT_RETENTION_DAYS = parseFloat(process.env.SNAPSHOT_RETENTION_DAYS || '30');
+
+// 执行结束后为修改过的文档保存修改后快照，并结束执行记录；同时清理超过保留期限的快照
+async function completeRun(runId, outcome) {
+  const run = getRun(storage, runId);
+  if (!run) {
+    return null;
+  }
+  
+  for (const documentId of Object.keys(run.snapshots)) {
+    try {
+      const blocks = await captureDocumentBlocks(await mcpClient.getTools(), documentId);
+      saveSnapshot(storage, runId, documentId, 'after', blocks);
+    } catch (error) {
+      console.error(`保存文档 ${documentId} 的修改后快照失败:`, error.message);
+    }
+  }
+  
+  const finished = finishRun(storage, runId, outcome);
+  if (SNAPSHOT_RETENTION_DAYS > 0) {
+    pruneSnapshots(storage, new Date(Date.now() - SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+  }
+  const labels = { source: finished.source, mode: finished.mode, outcome: outcome.status };
+  metrics.agentRuns.inc(labels);
+  metrics.agentRunDuration.observe(labels, (Date.parse(finished.finishedAt) - Date.parse(finished.startedAt)) / 1000);
+  return finished;
+}
 
-// 初始化ChatOpenAI模型
+// 加载大模型配置
 function initializeChatModel() {
   try {
-    console.log('正在初始化ChatOpenAI模型...');
+    console.log('正在加载模型配置...');
     
-    chatModel = new ChatOpenAI({
-      model: "kimi-k2-250711",
-      configuration: {
-        baseURL: process.env.OPENAI_API_BASE,
-        apiKey: process.env.VOLCES_API_KEY,
-      },
-      verbose: false,
-      streaming: false // 启用流式响应
-    });
+    modelRouter = new ModelRouter(loadModelConfig());
     
-    console.log('ChatOpenAI模型初始化成功');
-    return chatModel;
+    const { default: defaultModel, fallbacks } = modelRouter.describe();
+    console.log(`模型初始化成功，默认模型: ${defaultModel}${fallbacks.length > 0 ? `，回退: ${fallbacks.join(' -> ')}` : ''}`);
+    return modelRouter;
   } catch (error) {
-    console.error('ChatOpenAI模型初始化失败:', error.message);
-    chatModel = null;
+    console.error('模型初始化失败:', error.message);
+    modelRouter = null;
     return null;
   }
 }
 
-// 初始化MCP客户端和React Agent
-async function initializeMCPClient() {
+// 正在进行的MCP初始化，避免同时重复初始化
+let mcpInitializing = null;
+
+// 按配置连接所有MCP服务器并创建React Agent，重新加载时先关闭旧的连接
+function initializeMCPClient() {
+  if (!mcpInitializing) {
+    mcpInitializing = connectMCPServers().finally(() => {
+      mcpInitializing = null;
+    });
+  }
+  return mcpInitializing;
+}
+
+async function connectMCPServers() {
   try {
     console.log('正在初始化MCP客户端...');
-    const serverUrl = process.env.MCP_SERVER_URL || 'https://fms.666444.best/sse';
-    const callbackPort = parseInt(process.env.MCP_CALLBACK_PORT || '12334');
-    
-    console.log(`尝试连接到MCP服务器: ${serverUrl}`);
+    if (mcpServerPool) {
+      await mcpServerPool.close();
+    }
+    mcpClient = null;
+    reactAgent = null;
+    proposalAgent = null;
     
-    // 创建OAuth认证提供者
-    authProvider = OAuthClientProvider.createWithAutoAuth({
-      serverUrl,
-      callbackPort,
-      host: "localhost",
-      clientName: 'Feishu Comment Monitor',
-    });
+    const servers = loadMcpServersConfig();
+    const serverList = Object.entries(servers).map(([name, server]) => `${name} (${server.url || server.command})`);
+    console.log(`尝试连接到MCP服务器: ${serverList.join(', ')}`);
     
-    mcpClient = new MultiServerMCPClient({
-      mcpServers: {
-        feishu: {
-          url: serverUrl,
-          authProvider
-        },
-      },
-      useStandardContentBlocks: true,
+    // 连接失败的服务器在后台按退避策略重连，重连成功后重建Agent
+    const pool = new McpServerPool(servers, {
+      onToolsChanged: async serverName => {
+        if (mcpServerPool === pool) {
+          eventBus.publish('mcp.reconnected', { server: serverName });
+          await rebuildAgents();
+        }
+      }
     });
-    
-    // 获取可用工具
-    const tools = await mcpClient.getTools();
-    console.log('MCP客户端初始化成功');
-    console.log('可用工具数量:', tools.length);
-    
-    // 初始化ChatOpenAI模型
-    const model = initializeChatModel();
-    
-    if (model && tools.length > 0) {
-      // 创建React Agent
-      console.log('正在初始化React Agent...');
-      reactAgent = createReactAgent({
-        llm: model,
-        tools,
-        recursionLimit: 100
-      });
-      console.log('React Agent初始化成功');
+    mcpServerPool = pool;
+    const connectedCount = await pool.connect();
+    if (connectedCount === 0) {
+      throw new Error('没有可用的MCP服务器，将在后台继续重连');
     }
     
-    return tools;
+    // 初始化模型
+    initializeChatModel();
+    
+    return await rebuildAgents();
   } catch (error) {
     console.error('MCP客户端初始化失败:', error.message);
     console.log('提示: 请确保MCP服务器正在运行并且可以访问');
     console.log('提示: 如果需要认证，请检查认证配置');
     mcpClient = null;
     reactAgent = null;
+    proposalAgent = null;
     return [];
   }
 }
 
+// 用当前已连接服务器的工具重新创建React Agent，MCP服务器重连后也会调用
+async function rebuildAgents() {
+  const tools = mcpServerPool ? await mcpServerPool.getTools() : [];
+  mcpClient = mcpServerPool && mcpServerPool.connectedCount() > 0 ? mcpServerPool : null;
+  
+  // 没有可用工具（所有服务器都断开或不提供工具）时清空Agent，评论跳过智能处理，直到重连后重建
+  if (tools.length === 0) {
+    reactAgent = null;
+    proposalAgent = null;
+    console.warn('⚠️ 没有可用的MCP工具，Agent已停用，等待MCP服务器重连');
+    return tools;
+  }
+  
+  console.log('MCP客户端初始化成功');
+  console.log('可用工具数量:', tools.length);
+  
+  const router = modelRouter || initializeChatModel();
+  
+  if (router) {
+    // 创建React Agent，每次执行通过 configurable.model 选择模型
+    console.log('正在初始化React Agent...');
+    const agentTools = wrapTools(tools, toolHooks);
+    const readOnlyTools = filterReadOnlyTools(agentTools);
+    reactAgent = createReactAgent({
+      llm: router.createAgentModel(agentTools),
+      tools: agentTools,
+      checkpointSaver: checkpointer,
+      recursionLimit: 100
+    });
+    proposalAgent = createReactAgent({
+      llm: router.createAgentModel(readOnlyTools),
+      tools: readOnlyTools,
+      checkpointSaver: checkpointer,
+      recursionLimit: 100
+    });
+    console.log('React Agent初始化成功');
+  }
+  
+  return tools;
+}
+
+// 飞书事件订阅配置
+const FEISHU_VERIFICATION_TOKEN = process.env.FEISHU_VERIFICATION_TOKEN || '';
+const FEISHU_ENCRYPT_KEY = process.env.FEISHU_ENCRYPT_KEY || '';
+
+// 会触发评论拉取的事件类型
+const COMMENT_EVENT_TYPES = new Set([
+  'drive.notice.comment_add_v1',
+  'drive.file.comment_add_v1'
+]);
+
 // 中间件
-app.use(express.json());
+// 保留原始请求体，用于校验飞书事件签名
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// 解析飞书文档URL，提取文档ID
-function parseFeishuDocId(url) {
+// 管理页面（静态文件），页面中的接口请求使用页面上填写的API密钥
+app.use('/dashboard', express.static(path.join(__dirname, 'public')));
+
+// /api 接口需要API密钥；飞书事件回调使用自己的token和签名校验
+app.use('/api', (req, res, next) => {
+  if (req.path === '/comments/webhook') {
+    return next();
+  }
+  requireApiKey(req, res, next);
+});
+
+// 存储活跃的定时器（事件推送模式的文档对应null）
+const activeTimers = new Map();
+
+// 每个文档最近一次拉取评论的结果 { at, success, commentCount, newCount, error }
+const lastPollResults = new Map();
+
+// 正在轮询中的文档，避免上一次轮询尚未结束时重复进入
+const pollingDocs = new Set();
+
+// 轮询进行中又收到拉取请求的文档，本次轮询结束后需要再拉取一次
+const repollDocs = new Set();
+
+// 机器人（MCP授权用户）的飞书user_id，用于识别@机器人和忽略机器人自己的回复
+// 未配置时，从回复接口返回的reply_id对应的回复中学习（持久化在 botIdentity 集合）
+const BOT_USER_ID = process.env.BOT_USER_ID || '';
+
+// 正在发出或刚发出的机器人回复，文档ID:评论ID -> [{ text, at }]
+// 回复接口没有返回reply_id，或轮询在回复记录完成前就拉到了这条回复时，按内容识别
+const recentBotReplies = new Map();
+const BOT_REPLY_MATCH_TTL_MS = 10 * 60 * 1000;
+
+function getBotUserId() {
+  return BOT_USER_ID || storage.get('botIdentity', 'userId') || '';
+}
+
+// 回复文本的比较形式，回复过长时只比较开头
+function getReplyFingerprint(text) {
+  return (text || '').trim().slice(0, 200);
+}
+
+function rememberBotReply(docId, commentId, text) {
+  const key = `${docId}:${commentId}`;
+  const now = Date.now();
+  const entries = (recentBotReplies.get(key) || []).filter(entry => now - entry.at < BOT_REPLY_MATCH_TTL_MS);
+  entries.push({ text: getReplyFingerprint(text), at: now });
+  recentBotReplies.set(key, entries);
+}
+
+// 判断一条回复是否为机器人自己发出的
+// 只有reply_id确认是机器人发出的回复才用来记下机器人的user_id，
+// 按内容匹配的回复可能是用户发了相同的文字，只跳过不学习
+function isBotReply(docId, comment, reply) {
+  const botUserId = getBotUserId();
+  if (botUserId && reply.user_id === botUserId) {
+    return true;
+  }
+  
+  const postedIds = storage.get('botReplies', docId) || [];
+  if (postedIds.includes(reply.reply_id)) {
+    if (reply.user_id && !botUserId) {
+      storage.set('botIdentity', 'userId', reply.user_id);
+      console.log(`🤖 已识别机器人用户ID: ${reply.user_id}`);
+    }
+    return true;
+  }
+  
+  const key = `${docId}:${comment.comment_id}`;
+  const text = getReplyFingerprint(parseReply(reply).text);
+  return (recentBotReplies.get(key) || []).some(entry => Date.now() - entry.at < BOT_REPLY_MATCH_TTL_MS && entry.text === text);
+}
+
+// 监控任务默认选项
+//   polling           是否定时轮询评论
+//   replyResult       Agent执行结束后是否在评论线程中回复结果
+//   resolveOnSuccess  执行成功后是否把评论线程标记为已解决
+//   trigger           触发策略，见 src/trigger.js
+//   mode              execute 直接执行修改；propose 先用只读工具生成修改计划，审批通过后才执行
+//   approvers         可以在评论中审批提案的user_id列表，默认取 PROPOSAL_APPROVERS；
+//                     为空时评论中的审批一律无效（提出指令的人不能自己批准），只能通过 /api/proposals 审批
+//   proposalTtlMinutes 提案有效期（分钟）
+const DEFAULT_MONITOR_OPTIONS = {
+  polling: true,
+  replyResult: true,
+  resolveOnSuccess: true,
+  trigger: getDefaultTriggerPolicy(),
+  mode: 'execute',
+  approvers: (process.env.PROPOSAL_APPROVERS || '').split(',').map(item => item.trim()).filter(Boolean),
+  proposalTtlMinutes: parseInt(process.env.PROPOSAL_TTL_MINUTES || '60'),
+  tools: getDefaultToolPolicy(),
+  authorization: getDefaultAuthorizationPolicy(),
+  budget: getDefaultBudget(),
+  model: null   // 使用的模型名称，null表示默认模型
+};
+
+// 持久化集合：
+//   monitors          文档ID -> 监控任务（类型、链接、启动时间、选项）
+//                     知识库页面的文档ID是节点token，解析后的实际文档保存在 objToken / objType
+//                     options.polling 为 false 时不启动定时轮询，只在收到飞书事件推送时拉取评论
+//   commentsCache     文档ID -> 最近一次获取到的评论列表
+//   processedReplies  文档ID -> 已交给Agent处理（或初始化时已存在）的reply_id列表，存在即表示文档已初始化
+//   botReplies        文档ID -> 机器人自己发出的reply_id列表
+//   handledReplies    文档ID -> 触发了Agent任务的reply_id列表
+//                     以上三个列表每次拉取后只保留仍然存在的回复，已删除的回复不再记录
+//   botIdentity       userId -> 从机器人回复中识别出的机器人user_id（未配置BOT_USER_ID时使用）
+
+// 启动文档监控，已存在的监控会被重启但保留已处理记录，避免重复处理评论
+function startMonitor(docInfo, { url = null, options = {}, startTime = null } = {}) {
+  const docId = docInfo.fullId;
+
+  if (activeTimers.has(docId)) {
+    clearInterval(activeTimers.get(docId));
+  }
+
+  const existing = storage.get('monitors', docId);
+  const monitor = {
+    ...(existing || {}),
+    documentId: docId,
+    type: docInfo.type,
+    fileType: docInfo.fileType || existing?.fileType || 'docx',
+    // 之前未校验就保存的链接（非飞书/Lark域名）不再沿用
+    url: [url, existing?.url].find(item => item && isAllowedRedirect(item)) || null,
+    startTime: startTime || existing?.startTime || new Date().toISOString(),
+    options: { ...(existing?.options || {}), ...options }
+  };
+  storage.set('monitors', docId, monitor);
+  eventBus.publish('monitor.started', { documentId: docId, url: monitor.url, fileType: monitor.fileType, options: getMonitorOptions(docId) });
+
+  if (getMonitorOptions(docId).polling === false) {
+    // 事件推送模式：不创建定时器，立即拉取一次以建立评论基线
+    activeTimers.set(docId, null);
+    pollDocument(docId);
+    return monitor;
+  }
+
+  // 启动新的定时任务，每秒调用一次获取全文评论工具
+  const timer = setInterval(() => {
+    pollDocument(docId);
+  }, 1000); // 每秒执行一次
+
+  activeTimers.set(docId, timer);
+  return monitor;
+}
+
+// 拉取一次文档评论，同一文档同时只会有一次拉取在进行
+async function pollDocument(docId) {
+  if (pollingDocs.has(docId)) {
+    repollDocs.add(docId);
+    return;
+  }
+
+  pollingDocs.add(docId);
   try {
-    // 飞书文档URL格式示例:
-    // https://bytedance.feishu.cn/docx/doxcnxxxxxxxxxxxxxx
-    // https://bytedance.feishu.cn/docs/doccnxxxxxxxxxxxxxx
-    // https://bytedance.feishu.cn/wiki/wikcnxxxxxxxxxxxxxx
-    const urlObj = new URL(url);
-    const pathname = urlObj.pathname;
-    
-    // 匹配不同类型的文档ID
-    const docIdMatch = pathname.match(/\/(docx|docs|wiki)\/([a-zA-Z0-9]+)/);
-    if (docIdMatch) {
-      return {
-        type: docIdMatch[1],
-        id: docIdMatch[2],
-        fullId: docIdMatch[2]
-      };
+    do {
+      repollDocs.delete(docId);
+      await invokeGetCommentsTools(docId);
+    } while (repollDocs.has(docId));
+  } finally {
+    pollingDocs.delete(docId);
+  }
+}
+
+// 获取监控任务的生效选项（默认值 + 用户配置）
+function getMonitorOptions(docId) {
+  const options = storage.get('monitors', docId)?.options || {};
+  return {
+    ...DEFAULT_MONITOR_OPTIONS,
+    ...options,
+    trigger: { ...DEFAULT_MONITOR_OPTIONS.trigger, ...(options.trigger || {}) },
+    tools: { ...DEFAULT_MONITOR_OPTIONS.tools, ...(options.tools || {}) },
+    authorization: { ...DEFAULT_MONITOR_OPTIONS.authorization, ...(options.authorization || {}) },
+    budget: { ...DEFAULT_MONITOR_OPTIONS.budget, ...(options.budget || {}) }
+  };
+}
+
+// 停止文档监控并清理对应的持久化数据
+function stopMonitor(docId) {
+  const exists = storage.get('monitors', docId) !== undefined;
+
+  if (activeTimers.has(docId)) {
+    clearInterval(activeTimers.get(docId));
+    activeTimers.delete(docId);
+  }
+
+  storage.delete('monitors', docId);
+  storage.delete('commentsCache', docId);
+  storage.delete('processedReplies', docId);
+  storage.delete('botReplies', docId);
+  storage.delete('handledReplies', docId);
+  
+  // 清理该文档所有评论线程的对话历史
+  storage.entries('commentThreads').forEach(([threadId, thread]) => {
+    if (thread.documentId === docId) {
+      checkpointer.deleteThread(threadId);
+      storage.delete('commentThreads', threadId);
     }
-    
-    return null;
-  } catch (error) {
-    console.error('URL解析错误:', error.message);
+  });
+  lastPollResults.delete(docId);
+  if (exists) {
+    eventBus.publish('monitor.stopped', { documentId: docId });
+  }
+  return exists;
+}
+
+// 服务启动时恢复之前注册的监控任务
+function resumeMonitors() {
+  const monitors = storage.entries('monitors');
+
+  for (const [docId, monitor] of monitors) {
+    startMonitor({ type: monitor.type, fileType: monitor.fileType, id: docId, fullId: docId }, monitor);
+  }
+
+  if (monitors.length > 0) {
+    console.log(`♻️ 已恢复 ${monitors.length} 个监控任务`);
+  }
+}
+
+// 获取监控文档实际的文件token和类型，知识库页面首次使用时解析为实际文档并缓存
+async function getDocumentTarget(docId) {
+  const monitor = storage.get('monitors', docId);
+  if (!monitor || monitor.fileType !== 'wiki') {
+    return { fileToken: docId, fileType: monitor?.fileType || 'docx' };
+  }
+  
+  if (!monitor.objToken) {
+    const node = await resolveWikiNode(await mcpClient.getTools(), docId);
+    storage.set('monitors', docId, {
+      ...storage.get('monitors', docId),
+      objToken: node.objToken,
+      objType: node.fileType,
+      title: node.title
+    });
+    console.log(`📚 知识库节点 ${docId} 对应${describeFileType(node.fileType)} ${node.objToken}`);
+    return { fileToken: node.objToken, fileType: node.fileType };
+  }
+  
+  return { fileToken: monitor.objToken, fileType: monitor.objType };
+}
+
+// 根据评论事件中的文件token找到对应的监控文档ID
+function findMonitorIdByFileToken(fileToken) {
+  if (!fileToken) {
     return null;
   }
+  if (storage.get('monitors', fileToken)) {
+    return fileToken;
+  }
+  const entry = storage.entries('monitors').find(([, monitor]) => monitor.objToken === fileToken);
+  return entry ? entry[0] : null;
 }
 
-// 存储活跃的定时器
-const activeTimers = new Map();
+// 记录某条回复已交给Agent处理
+function markReplyProcessed(docId, replyId) {
+  const processed = storage.get('processedReplies', docId) || [];
+  if (!processed.includes(replyId)) {
+    storage.set('processedReplies', docId, [...processed, replyId]);
+  }
+}
 
-// 存储每个文档的评论缓存，用于检测新增评论
-const commentsCache = new Map();
-// 存储每个文档是否已经初始化的标记
-const initializedDocs = new Set();
+// 记录某条回复触发了Agent任务（任务记录过期删除后仍然保留）
+function markReplyHandled(docId, replyId) {
+  const handled = storage.get('handledReplies', docId) || [];
+  if (replyId && !handled.includes(replyId)) {
+    storage.set('handledReplies', docId, [...handled, replyId]);
+  }
+}
+
+// 记录一次拉取结果，出现新的错误或从错误中恢复时发布事件
+function recordPollResult(docId, startedAt, result) {
+  const previous = lastPollResults.get(docId);
+  const durationMs = Date.now() - startedAt;
+  lastPollResults.set(docId, { at: new Date().toISOString(), durationMs, commentCount: null, newCount: null, error: null, ...result });
+  
+  metrics.polls.inc({ document: docId });
+  metrics.pollDuration.observe({ document: docId }, durationMs / 1000);
+  if (result.error) {
+    metrics.pollErrors.inc({ document: docId });
+  }
+  
+  if (result.error && previous?.error !== result.error) {
+    eventBus.publish('monitor.error', { documentId: docId, error: result.error });
+  } else if (!result.error && previous?.error) {
+    eventBus.publish('monitor.recovered', { documentId: docId });
+  }
+}
+
+// MCP客户端不可用时是否已经记录过日志，避免每次轮询每个文档都重复输出
+let mcpUnavailableLogged = false;
 
 // 调用获取全文评论工具并监控新增评论
 async function invokeGetCommentsTools(docId) {
+  const startedAt = Date.now();
   if (!mcpClient) {
-    console.error('MCP客户端未初始化，无法调用工具');
+    if (!mcpUnavailableLogged) {
+      console.error('MCP客户端未初始化，暂停拉取评论，恢复后继续');
+      mcpUnavailableLogged = true;
+    }
+    recordPollResult(docId, startedAt, { success: false, error: 'MCP客户端未初始化' });
     return null;
   }
+  if (mcpUnavailableLogged) {
+    console.log('✅ MCP客户端已恢复，继续拉取评论');
+    mcpUnavailableLogged = false;
+  }
   
   try {
     // 获取可用工具
@@ -160,45 +838,53 @@ async function invokeGetCommentsTools(docId) {
     
     if (!commentTool) {
       console.log('未找到获取全文评论工具');
+      recordPollResult(docId, startedAt, { success: false, error: '未找到获取全文评论工具' });
       return null;
     }
     
-    // 根据@langchain/mcp-adapters文档，使用invoke方法调用工具
-    const result = await commentTool.invoke({
-        file_token: docId,
-        file_type: 'docx', // 默认使用新版文档类型
-        is_whole: true,    // 获取全文评论
-        is_solved: false   // 获取所有评论（包括未解决的）
-      });
-      
-      // 解析响应数据
-      const responseData = JSON.parse(result);
-      const currentComments = responseData.items || [];
-      
-      // 获取之前缓存的评论
-      const cachedComments = commentsCache.get(docId) || [];
-      
-      // 检测新增评论
-      const newComments = detectNewComments(cachedComments, currentComments, docId);
-      
-      // 立即更新缓存，避免重复识别
-      commentsCache.set(docId, currentComments);
-      
+    // 知识库页面需要使用实际文档的token和类型
+    const target = await getDocumentTarget(docId);
+    
+    // 翻页获取全部评论；不传is_whole，同时获取全文评论和划词（局部）评论；
+    // 不传is_solved，已解决的评论也一并获取，才能发现解决/重新打开的变化
+    const currentComments = await listAllComments(commentTool, target);
+    
+    // 与上次获取的结果对比，发出回复新增/修改/删除、线程解决/重新打开事件
+    const previousComments = storage.get('commentsCache', docId);
+    if (previousComments) {
+      for (const change of detectCommentChanges(previousComments, currentComments)) {
+        emitCommentChange(docId, change);
+      }
+    }
+    
+    // 检测新增评论（与已处理的回复ID比较，重启后同样有效）
+    const newComments = detectNewComments(currentComments, docId);
+    
+    pruneReplyIds(docId, currentComments);
+    
+    // 评论有变化时才更新缓存，避免每次轮询都写入存储
+    if (!previousComments || JSON.stringify(previousComments) !== JSON.stringify(currentComments)) {
+      storage.set('commentsCache', docId, currentComments);
+    }
+    
       // 如果有新增评论，输出提醒并使用Agent分析
        if (newComments.length > 0) {
+         metrics.commentsDetected.inc({ document: docId }, newComments.length);
          console.log(`\n🔔 检测到 ${newComments.length} 条新增评论:`);
          
          for (let index = 0; index < newComments.length; index++) {
            const comment = newComments[index];
-           const commentText = comment.reply_list?.replies?.[0]?.content?.elements?.[0]?.text_run?.text || '无法获取评论内容';
-           const author = comment.reply_list?.replies?.[0]?.user_name || '未知用户';
+           const commentText = parseReply(comment.reply_list?.replies?.[0]).text || '无法获取评论内容';
+           const author = comment.reply_list?.replies?.[0]?.user_id || '未知用户';
            const createTime = comment.reply_list?.replies?.[0]?.create_time || '未知时间';
            
            console.log(`  ${index + 1}. [${author}] ${new Date(parseInt(createTime) * 1000).toLocaleString()}: ${commentText}`);
+           if (comment.is_whole === false) {
+             console.log(`     ↳ 划词评论，选中内容: 「${comment.quote || ''}」`);
+           }
            
-           // 使用React Agent分析每条新增评论（异步处理，不影响缓存更新）
            try {
-             await processNewCommentWithAgent(comment, docId);
+             await handleNewComment(comment, docId);
            } catch (error) {
              console.error(`处理评论时出错: ${error.message}`);
            }
@@ -207,9 +893,12 @@ async function invokeGetCommentsTools(docId) {
          console.log('=' .repeat(80));
        }
       
-      return result;
+      recordPollResult(docId, startedAt, { success: true, commentCount: currentComments.length, newCount: newComments.length });
+      
+      return currentComments;
   } catch (error) {
     console.error('调用获取全文评论工具失败:', error.message);
+    recordPollResult(docId, startedAt, { success: false, error: error.message });
     // 如果是ToolException，提供更详细的错误信息
     if (error.name === 'ToolException') {
       console.error('工具执行失败:', error.message);
@@ -218,95 +907,505 @@ async function invokeGetCommentsTools(docId) {
   }
 }
 
-// 使用React Agent处理新增评论（支持流式响应）
-async function processNewCommentWithAgent(comment, docId) {
-  if (!reactAgent) {
-    console.log('⚠️ React Agent未初始化，跳过智能处理');
-    return null;
+// 处理一条新增回复：审批回复、触发判断，然后创建Agent任务
+async function handleNewComment(comment, docId) {
+  // 交给Agent之前先记录，保证重启后同一条回复不会被再次处理
+  const reply = comment.reply_list.replies[0];
+  markReplyProcessed(docId, reply.reply_id);
+  
+  // 机器人自己的回复（执行结果、拒绝说明等）不能再触发Agent，否则会自我循环
+  if (isBotReply(docId, comment, reply)) {
+    console.log('     ↳ 机器人自己的回复，忽略');
+    return;
   }
   
-  try {
-    const commentText = comment.reply_list?.replies?.[0]?.content?.elements?.[0]?.text_run?.text || '无法获取评论内容';
-    const author = comment.reply_list?.replies?.[0]?.user_name || '未知用户';
-    
-    console.log(`🤖 正在执行用户指令: "${commentText} ${docId}"`);
-    
-    // 构造给Agent的输入
-    const agentInput = `按照以下要求修改这个文档（文档ID:${docId})：${commentText}`;
-    
-    // 使用流式响应
-    const stream = await reactAgent.stream({
-      messages: [{ role: "user", content: agentInput }]
-    },{ recursionLimit: 100 });
-    
-    console.log('🎯 Agent处理中...');
-    let finalResponse = null;
-    
-    for await (const chunk of stream) {
-      // console.log("chunk===========\n",JSON.stringify(chunk))
-      // Print each step of the agent's execution
-      if (chunk.agent) {
-        const agentMessage = chunk.agent.messages[chunk.agent.messages.length - 1];
-        
-        // Print token usage for this chunk if available
-        if (agentMessage.usage_metadata) {
-          console.log('\n📊 Token Usage:');
-          console.log(`   Input tokens: ${agentMessage.usage_metadata.input_tokens}`);
-          console.log(`   Output tokens: ${agentMessage.usage_metadata.output_tokens}`);
-          console.log(`   Total tokens: ${agentMessage.usage_metadata.total_tokens}`);
-        } else if (agentMessage.response_metadata?.tokenUsage) {
-          console.log('\n📊 Token Usage:');
-          console.log(`   Input tokens: ${agentMessage.response_metadata.tokenUsage.promptTokens}`);
-          console.log(`   Output tokens: ${agentMessage.response_metadata.tokenUsage.completionTokens}`);
-          console.log(`   Total tokens: ${agentMessage.response_metadata.tokenUsage.totalTokens}`);
-        }
-        
-        if (agentMessage.content) {
-          console.log('\n🤖 Agent:', agentMessage.content);
+  const options = getMonitorOptions(docId);
+  
+  // 线程中有待审批的提案时，先看这条回复是不是审批意见
+  const pending = getPendingProposal(storage, docId, comment.comment_id);
+  if (pending) {
+    const { instruction } = matchTrigger(reply, { ...options.trigger, all: true }, getBotUserId());
+    const decision = parseDecision(instruction);
+    // 提出指令的人可以放弃自己的提案，但批准必须由审批人完成
+    const canDecide = canApproveProposal(pending, reply.user_id) ||
+      (decision === 'reject' && Boolean(reply.user_id) && reply.user_id === pending.requestedBy);
+    if (decision && canDecide) {
+      await decideProposal(pending, decision, reply.user_id);
+      return;
+    }
+    if (decision) {
+      console.log(`     ↳ 用户 ${reply.user_id} 无权审批提案 ${pending.id}`);
+      return;
+    }
+  }
+  
+  // 只处理对机器人下达的指令
+  const trigger = matchTrigger(reply, options.trigger, getBotUserId());
+  if (!trigger.triggered) {
+    console.log(`     ↳ 未触发Agent (${trigger.reason})`);
+    eventBus.publish('comment.ignored', { documentId: docId, commentId: comment.comment_id, replyId: reply.reply_id, reason: trigger.reason });
+    return;
+  }
+  
+  // 只执行有权限的评论者下达的指令
+  const authorization = await authorizeCommenter(await mcpClient.getTools(), reply.user_id, options.authorization);
+  console.log(
+    `     ↳ 授权检查 [用户 ${reply.user_id || '未知'}]: ${authorization.allowed ? '允许' : '拒绝'} (${authorization.reason})` +
+    (authorization.error ? ` ${authorization.error}` : '')
+  );
+  eventBus.publish('comment.authorization', {
+    documentId: docId,
+    commentId: comment.comment_id,
+    replyId: reply.reply_id,
+    userId: reply.user_id || null,
+    ...authorization
+  });
+  if (!authorization.allowed) {
+    if (options.authorization.action === 'refuse') {
+      await postCommentReply(docId, comment.comment_id, options.authorization.message);
+    }
+    return;
+  }
+  
+  // 文档或评论者的token用量超出预算时拒绝新的指令，直到下一个统计周期
+  const exceeded = checkBudget(storage, { documentId: docId, userId: reply.user_id }, options.budget);
+  if (exceeded) {
+    console.log(`     ↳ 超出预算 [${exceeded.scope}/${exceeded.period}]: ${exceeded.used}/${exceeded.limit}`);
+    eventBus.publish('comment.budget_exceeded', {
+      documentId: docId,
+      commentId: comment.comment_id,
+      replyId: reply.reply_id,
+      userId: reply.user_id || null,
+      ...exceeded
+    });
+    await postCommentReply(docId, comment.comment_id, formatBudgetMessage(exceeded, options.budget));
+    return;
+  }
+  
+  const job = jobQueue.enqueue('comment', {
+    documentId: docId,
+    commentId: comment.comment_id,
+    replyId: reply.reply_id,
+    instruction: trigger.instruction,
+    mode: options.mode,
+    comment
+  });
+  markReplyHandled(docId, reply.reply_id);
+  console.log(`     ↳ 已创建任务 ${job.id}`);
+}
+
+// 执行队列中的任务
+//   comment   评论触发的任务，按监控模式直接执行或生成修改提案
+//   proposal  执行已批准的修改提案
+async function runJob(job, { signal, isLastAttempt }) {
+  const { documentId, payload } = job;
+  
+  let result;
+  if (job.type === 'proposal') {
+    result = await executeProposal(payload.proposalId, { signal, isLastAttempt, jobId: job.id });
+  } else if (payload.mode === 'propose') {
+    result = await proposeCommentChanges(payload.comment, documentId, payload.instruction, { signal, isLastAttempt, jobId: job.id });
+  } else {
+    result = await processNewCommentWithAgent(payload.comment, documentId, payload.instruction, { signal, jobId: job.id });
+    // 失败且还会重试时先不回复，取消的任务也不回复
+    if (result && !signal.aborted && (result.success || isLastAttempt)) {
+      await reportAgentResult(payload.comment, documentId, result);
+    }
+  }
+  
+  return withRunDetails(result || { success: false, error: 'React Agent未初始化' });
+}
+
+// 把执行记录中的工具调用和token用量附加到任务结果上
+function withRunDetails(result) {
+  const run = result.runId ? getRun(storage, result.runId) : null;
+  return {
+    ...result,
+    toolCalls: run?.toolCalls || [],
+    tokenUsage: run?.tokenUsage
+  };
+}
+
+// 审批模式：生成修改计划并回复到评论线程等待审批
+async function proposeCommentChanges(comment, docId, instruction, { signal, isLastAttempt, jobId = null }) {
+  const reply = comment.reply_list.replies[0];
+  const options = getMonitorOptions(docId);
+  
+  const result = await processNewCommentWithAgent(comment, docId, instruction, { mode: 'propose', signal, jobId });
+  if (!result || signal.aborted) {
+    return result;
+  }
+  
+  if (!result.success) {
+    if (isLastAttempt) {
+      await reportAgentResult(comment, docId, result);
+    }
+    return result;
+  }
+  
+  const proposal = createProposal(storage, {
+    documentId: docId,
+    commentId: comment.comment_id,
+    replyId: reply.reply_id,
+    instruction,
+    plan: result.finalMessage,
+    requestedBy: reply.user_id,
+    ttlMinutes: options.proposalTtlMinutes
+  });
+  console.log(`📝 已生成修改提案 ${proposal.id}，等待审批`);
+  
+  await postCommentReply(docId, comment.comment_id,
+    `📝 修改计划（提案 ${proposal.id}）：\n${proposal.plan}\n\n` +
+    (options.approvers.length > 0
+      ? `请审批人回复「approve」执行，回复「reject」放弃。`
+      : '未配置审批人，请通过管理接口审批。') +
+    `${options.proposalTtlMinutes} 分钟内有效。`);
+  
+  return { ...result, proposalId: proposal.id };
+}
+
+// 检查用户是否可以审批提案：必须是审批人，且不能是提出指令的人
+function canApproveProposal(proposal, userId) {
+  const { approvers } = getMonitorOptions(proposal.documentId);
+  return Boolean(userId) && userId !== proposal.requestedBy && (approvers || []).includes(userId);
+}
+
+// 审批提案：approve 时创建执行任务，reject 时放弃
+async function decideProposal(proposal, decision, decidedBy) {
+  const decidedAt = new Date().toISOString();
+  
+  if (decision === 'reject') {
+    const rejected = updateProposal(storage, proposal.id, { status: 'rejected', decidedBy, decidedAt });
+    console.log(`🚫 提案 ${proposal.id} 已被拒绝`);
+    await postCommentReply(proposal.documentId, proposal.commentId, `🚫 提案 ${proposal.id} 已放弃，文档未做修改。`);
+    return rejected;
+  }
+  
+  const job = jobQueue.enqueue('proposal', {
+    documentId: proposal.documentId,
+    commentId: proposal.commentId,
+    proposalId: proposal.id
+  });
+  console.log(`✅ 提案 ${proposal.id} 已批准，已创建任务 ${job.id}`);
+  return updateProposal(storage, proposal.id, { status: 'approved', decidedBy, decidedAt, jobId: job.id });
+}
+
+// 执行已批准的提案
+async function executeProposal(proposalId, { signal, isLastAttempt, jobId = null }) {
+  const proposal = getProposal(storage, proposalId);
+  if (!proposal) {
+    return { success: false, error: `提案 ${proposalId} 不存在` };
+  }
+  
+  const comment = { comment_id: proposal.commentId };
+  const result = await processNewCommentWithAgent(comment, proposal.documentId, proposal.instruction, {
+    mode: 'approved',
+    plan: proposal.plan,
+    signal,
+    jobId
+  });
+  
+  if (!result) {
+    return null;
+  }
+  
+  if (!signal.aborted && (result.success || isLastAttempt)) {
+    await reportAgentResult(comment, proposal.documentId, result);
+    updateProposal(storage, proposal.id, {
+      status: result.success ? 'executed' : 'failed',
+      error: result.error || null
+    });
+  }
+  return result;
+}
+
+// 评论线程对应的LangGraph thread_id
+function getCommentThreadId(docId, commentId) {
+  return `comment:${docId}:${commentId}`;
+}
+
+// 记录评论线程的对话信息（持久化集合 commentThreads）
+function touchCommentThread(threadId, docId, commentId) {
+  const existing = storage.get('commentThreads', threadId);
+  const now = new Date().toISOString();
+  storage.set('commentThreads', threadId, {
+    threadId,
+    documentId: docId,
+    commentId,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    turns: (existing?.turns || 0) + 1
+  });
+}
+
+// 接口会话对应的LangGraph thread_id
+function getApiSessionThreadId(sessionId) {
+  return `session:${sessionId}`;
+}
+
+// 记录接口会话信息（持久化集合 apiSessions），会话归属于创建它的调用方，闲置超过 API_SESSION_TTL_HOURS 后删除
+function touchApiSession(sessionId, caller, runId) {
+  const existing = storage.get('apiSessions', sessionId);
+  const now = new Date().toISOString();
+  storage.set('apiSessions', sessionId, {
+    sessionId,
+    threadId: getApiSessionThreadId(sessionId),
+    caller: existing?.caller || caller,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    turns: (existing?.turns || 0) + 1,
+    lastRunId: runId
+  });
+}
+
+// 执行中断时，最后一条模型消息里的工具调用可能还没有结果；
+// 补上说明结果，否则同一线程的下一轮对话会因为工具调用不完整被模型接口拒绝
+async function closeInterruptedToolCalls(agent, threadId) {
+  const config = { configurable: { thread_id: threadId } };
+  try {
+    const state = await agent.getState(config);
+    const messages = state?.values?.messages || [];
+    const answered = new Set(messages.filter(message => message.tool_call_id).map(message => message.tool_call_id));
+    const lastAgentMessage = messages.findLast(message => message._getType() === 'ai');
+    const missing = (lastAgentMessage?.tool_calls || []).filter(toolCall => !answered.has(toolCall.id));
+    if (missing.length === 0) {
+      return;
+    }
+    
+    await agent.updateState(config, {
+      messages: missing.map(toolCall => new ToolMessage({
+        tool_call_id: toolCall.id,
+        name: toolCall.name,
+        content: '执行被中断，工具调用没有完成'
+      }))
+    }, 'tools');
+  } catch (error) {
+    console.error(`整理中断的对话 ${threadId} 失败:`, error.message);
+  }
+}
+
+// 把检查点中的消息转换为便于查看的结构
+function formatThreadMessages(messages = []) {
+  return messages.map(message => ({
+    role: message._getType ? message._getType() : message.role,
+    content: message.content,
+    name: message.name,
+    toolCalls: message.tool_calls?.length ? message.tool_calls : undefined,
+    toolCallId: message.tool_call_id
+  }));
+}
+
+// 从评论缓存中查找评论线程
+function findCachedComment(docId, commentId) {
+  return (storage.get('commentsCache', docId) || []).find(item => item.comment_id === commentId) || null;
+}
+
+// 生成划词评论的上下文说明：选中的原文以及评论所在的文档块，全文评论返回空字符串
+async function getCommentAnchorContext(comment, docId, target) {
+  const thread = comment.quote !== undefined ? comment : findCachedComment(docId, comment.comment_id);
+  if (!thread || thread.is_whole !== false) {
+    return '';
+  }
+  
+  const lines = ['这是一条划词评论，只针对文档中被选中的内容。'];
+  if (thread.quote) {
+    lines.push(`选中的原文：「${thread.quote}」`);
+  }
+  
+  // 新版文档可以通过文档块的comment_ids定位评论所在的块
+  if (target.fileType === 'docx') {
+    try {
+      const blocks = await captureDocumentBlocks(await mcpClient.getTools(), target.fileToken);
+      const block = findCommentBlock(blocks, comment.comment_id);
+      if (block) {
+        lines.push(`评论所在的文档块：block_id=${block.blockId}，块类型=${block.blockType}` +
+          (block.text !== null ? `，块内容：「${block.text}」` : ''));
+      }
+    } catch (error) {
+      console.error('定位评论所在文档块失败:', error.message);
+    }
+  }
+  
+  lines.push('请只修改这部分内容，不要改动文档的其他位置。');
+  return lines.join('\n');
+}
+
+// 读取模型消息中的token用量
+function getMessageTokenUsage(message) {
+  if (message.usage_metadata) {
+    return {
+      input: message.usage_metadata.input_tokens || 0,
+      output: message.usage_metadata.output_tokens || 0,
+      total: message.usage_metadata.total_tokens || 0
+    };
+  }
+  const tokenUsage = message.response_metadata?.tokenUsage;
+  if (tokenUsage) {
+    return {
+      input: tokenUsage.promptTokens || 0,
+      output: tokenUsage.completionTokens || 0,
+      total: tokenUsage.totalTokens || 0
+    };
+  }
+  return null;
+}
+
+// 记录一次模型调用的token用量：累加到执行记录，并按文档、评论者和实际使用的模型汇总
+function recordRunTokenUsage(run, message) {
+  const usage = getMessageTokenUsage(message);
+  if (!usage) {
+    return;
+  }
+  const model = message.response_metadata?.router_model || run.model || modelRouter?.defaultModel || null;
+  addTokenUsage(storage, run.id, usage);
+  recordUsage(storage, { documentId: run.documentId, userId: run.userId, model, ...usage });
+  metrics.llmTokens.inc({ model: model || 'unknown', type: 'input' }, usage.input);
+  metrics.llmTokens.inc({ model: model || 'unknown', type: 'output' }, usage.output);
+  publishRunEvent('agent.token_usage', run.id, { ...usage, model });
+}
+
+// 使用React Agent处理新增评论（支持流式响应）
+// instruction 为触发策略处理后的指令文本（如去掉了 /ai 前缀），未提供时使用评论原文
+// mode: execute 直接修改；propose 只读取文档并给出修改计划；approved 按已批准的plan修改
+// signal 用于取消执行中的任务，jobId 为所属的队列任务
+async function processNewCommentWithAgent(comment, docId, instruction, { mode = 'execute', plan = null, signal, jobId = null } = {}) {
+  const agent = mode === 'propose' ? proposalAgent : reactAgent;
+  if (!agent) {
+    console.log('⚠️ React Agent未初始化，跳过智能处理');
+    return null;
+  }
+  
+  let run = null;
+  try {
+    const parsedReply = parseReply(comment.reply_list?.replies?.[0]);
+    const commentText = instruction || parsedReply.text || '无法获取评论内容';
+    
+    console.log(`🤖 正在执行用户指令: "${commentText} ${docId}"`);
+    
+    // 构造给Agent的输入，说明正在编辑的文档类型
+    const target = await getDocumentTarget(docId);
+    let docDescription = `飞书${describeFileType(target.fileType)}（文件类型:${target.fileType}，文档ID:${target.fileToken}`;
+    if (target.fileToken !== docId) {
+      docDescription += `，知识库节点:${docId}`;
+    }
+    docDescription += ')';
+    
+    let agentInput = `按照以下要求修改这个${docDescription}：${commentText}`;
+    if (mode === 'propose') {
+      agentInput = `阅读这个${docDescription}，针对以下修改要求制定修改计划，逐条列出要修改的位置和修改后的内容。` +
+        `只能读取文档，不要做任何修改：${commentText}`;
+    } else if (mode === 'approved') {
+      agentInput = `以下修改计划已获批准，请按计划修改这个${docDescription}：\n${plan}`;
+    }
+    
+    // 附上评论中的文档链接、@用户等结构化信息
+    const commentContext = formatCommentContext(parsedReply);
+    if (commentContext && mode !== 'approved') {
+      agentInput += `\n\n${commentContext}`;
+    }
+    
+    // 划词评论附上选中的原文和所在的文档块，让Agent修改正确的位置
+    const anchorContext = await getCommentAnchorContext(comment, docId, target);
+    if (anchorContext) {
+      agentInput += `\n\n${anchorContext}`;
+    }
+    
+    // 同一评论线程的后续回复延续之前的对话
+    const threadId = getCommentThreadId(docId, comment.comment_id);
+    touchCommentThread(threadId, docId, comment.comment_id);
+    
+    // 创建执行记录，工具调用和文档快照都记录在其中
+    const { model } = getMonitorOptions(docId);
+    run = createRun(storage, {
+      source: 'comment',
+      documentId: docId,
+      commentId: comment.comment_id,
+      userId: comment.reply_list?.replies?.[0]?.user_id || null,
+      threadId,
+      mode,
+      instruction: commentText,
+      model,
+      jobId
+    });
+    publishRunEvent('agent.started', run.id, { commentId: comment.comment_id, mode, instruction: commentText, model });
+    appendRunMessage(storage, run.id, { role: 'user', content: agentInput });
+    
+    // 使用流式响应
+    const stream = await agent.stream({
+      messages: [{ role: "user", content: agentInput }]
+    },{ recursionLimit: 100, signal, configurable: { thread_id: threadId, agent_run_id: run.id, model } });
+    
+    console.log('🎯 Agent处理中...');
+    let finalResponse = null;
+    let finalMessage = '';
+    
+    for await (const chunk of stream) {
+      // console.log("chunk===========\n",JSON.stringify(chunk))
+      // Print each step of the agent's execution
+      if (chunk.agent) {
+        const agentMessage = chunk.agent.messages[chunk.agent.messages.length - 1];
+        
+        // 累加到执行记录
+        recordRunTokenUsage(run, agentMessage);
+        publishRunEvent('agent.message', run.id, {
+          content: agentMessage.content || '',
+          reasoning: agentMessage.reasoning_content || null,
+          toolCalls: (agentMessage.tool_calls || []).map(toolCall => toolCall.name)
+        });
+        appendRunMessage(storage, run.id, {
+          role: 'agent',
+          content: agentMessage.content || '',
+          reasoning: agentMessage.reasoning_content || null,
+          toolCalls: (agentMessage.tool_calls || []).map(toolCall => ({ name: toolCall.name, args: toolCall.args }))
+        });
+        
+        // Print token usage for this chunk if available
+        if (agentMessage.usage_metadata) {
+          console.log('\n📊 Token Usage:');
+          console.log(`   Input tokens: ${agentMessage.usage_metadata.input_tokens}`);
+          console.log(`   Output tokens: ${agentMessage.usage_metadata.output_tokens}`);
+          console.log(`   Total tokens: ${agentMessage.usage_metadata.total_tokens}`);
+        } else if (agentMessage.response_metadata?.tokenUsage) {
+          console.log('\n📊 Token Usage:');
+          console.log(`   Input tokens: ${agentMessage.response_metadata.tokenUsage.promptTokens}`);
+          console.log(`   Output tokens: ${agentMessage.response_metadata.tokenUsage.completionTokens}`);
+          console.log(`   Total tokens: ${agentMessage.response_metadata.tokenUsage.totalTokens}`);
+        }
+        
+        if (agentMessage.content) {
+          console.log('\n🤖 Agent:', agentMessage.content);
+          finalMessage = agentMessage.content;
         }
         if (agentMessage.reasoning_content) {
           console.log('\n🤖 Agent is thinking:', agentMessage.reasoning_content);
         }
         
         // Check if agent is making tool calls
-        if (agentMessage.additional_kwargs?.tool_calls) {
+        if (agentMessage.tool_calls?.length > 0) {
           console.log('\n📞 Agent is calling tools:');
-          for (const toolCall of agentMessage.additional_kwargs.tool_calls) {
-            console.log(`   - Tool: ${toolCall.function.name}`);
-            // console.log(`     Arguments:`, JSON.parse(toolCall.function.arguments));
+          for (const toolCall of agentMessage.tool_calls) {
+            console.log(`   - Tool: ${toolCall.name}`);
           }
         }
       }
       
       if (chunk.tools) {
-        for (const [key, toolMessages] of Object.entries(chunk.tools)) {
-          if (Array.isArray(toolMessages)) {
-            for (const message of toolMessages) {
-              // Handle tool call messages
-              if (message.kwargs?.tool_call_id) {
-                const toolCallId = message.kwargs.tool_call_id;
-                const toolName = toolCallId.split(':')[0]; // Extract tool name from tool_call_id
-                console.log(`\n🔧 Tool called: ${toolName}`);
-                console.log(`   Tool Call ID: ${toolCallId}`);
-                
-                // Parse and display the tool response
-                try {
-                  const content = JSON.parse(message.kwargs.content);
-                  if (content.code === 0 && content.data) {
-                    console.log('   ✅ Tool Response:');
-                    console.log(`      Status: Success`);
-                    console.log(`      Data:`, JSON.stringify(content.data, null, 6));
-                  } else {
-                    console.log('   ❌ Tool Response:');
-                    console.log(`      Error: ${content.msg || 'Unknown error'}`);
-                  }
-                } catch (e) {
-                  // If content is not JSON, display as is
-                  console.log('   Tool Response:', message.kwargs.content);
-                }
-              }
-            }
+        for (const message of chunk.tools.messages || []) {
+          console.log(`\n🔧 Tool called: ${message.name}`);
+          console.log(`   Tool Call ID: ${message.tool_call_id}`);
+          
+          // Parse and display the tool response
+          const content = getToolOutputText([message.content]);
+          const { success, message: errorMessage } = message.status === 'error'
+            ? { success: false, message: content }
+            : getToolOutputStatus([content]);
+          if (success) {
+            console.log('   ✅ Tool Response:', content.slice(0, 500));
+          } else {
+            console.log('   ❌ Tool Response:');
+            console.log(`      Error: ${errorMessage}`);
           }
+          appendRunMessage(storage, run.id, { role: 'tool', tool: message.name, content });
         }
       }
       
@@ -317,47 +1416,132 @@ async function processNewCommentWithAgent(comment, docId) {
     
     if (finalResponse && finalResponse.messages) {
       const lastMessage = finalResponse.messages[finalResponse.messages.length - 1];
+      finalMessage = lastMessage.content;
       console.log('\n📝 处理完成:');
       console.log(lastMessage.content);
     }
     
     console.log('');
-    return finalResponse;
+    await completeRun(run.id, { status: 'succeeded', finalMessage });
+    publishRunEvent('agent.finished', run.id, { status: 'succeeded', finalMessage });
+    return { success: true, finalMessage, runId: run.id };
   } catch (error) {
     console.error('❌ React Agent处理评论失败:', error.message);
-    return null;
+    if (run) {
+      const status = signal?.aborted ? 'cancelled' : 'failed';
+      await completeRun(run.id, { status, error: error.message });
+      publishRunEvent('agent.finished', run.id, { status, error: error.message });
+      await closeInterruptedToolCalls(agent, run.threadId);
+    }
+    return { success: false, error: error.message, runId: run?.id || null };
   }
 }
 
-// 检测新增评论的函数
-function detectNewComments(cachedComments, currentComments, docId) {
-  // 如果是第一次获取评论，只在有评论时打印初始化信息
-  if (!initializedDocs.has(docId)) {
-    initializedDocs.add(docId);
-    if (currentComments.length > 0) {
-      console.log(`📋 初始化监控，当前共有 ${currentComments.length} 条评论`);
+// 在评论线程中回复一条消息，机器人自己的回复会被记为已处理
+async function postCommentReply(docId, commentId, text) {
+  if (!mcpClient) {
+    return null;
+  }
+  
+  try {
+    const tools = await mcpClient.getTools();
+    // 发出前先记下内容，轮询可能在回复接口返回前就拉到这条回复
+    rememberBotReply(docId, commentId, text);
+    const { replyId } = await replyToComment(tools, {
+      ...(await getDocumentTarget(docId)),
+      commentId,
+      text
+    });
+    // 自己发出的回复不需要再交给Agent处理
+    if (replyId) {
+      markReplyProcessed(docId, replyId);
+      storage.set('botReplies', docId, [...(storage.get('botReplies', docId) || []), replyId]);
     }
-    return [];
+    console.log(`💬 已回复评论 ${commentId}`);
+    return replyId;
+  } catch (error) {
+    console.error(`回复评论失败: ${error.message}`);
+    return null;
+  }
+}
+
+// 把Agent的执行结果回复到评论线程，成功时按配置解决评论
+async function reportAgentResult(comment, docId, result) {
+  const options = getMonitorOptions(docId);
+  if (!mcpClient) {
+    return;
   }
   
-  // 创建缓存评论的ID集合，用于快速查找
-  const cachedCommentIds = new Set();
-  cachedComments.forEach(comment => {
+  if (options.replyResult) {
+    const text = result.success
+      ? `✅ 已按评论完成处理：\n${result.finalMessage || '（Agent未返回说明）'}\n执行记录：${result.runId}`
+      : `❌ 处理失败：${result.error}`;
+    await postCommentReply(docId, comment.comment_id, text);
+  }
+  
+  if (result.success && options.resolveOnSuccess) {
+    try {
+      const tools = await mcpClient.getTools();
+      await resolveComment(tools, {
+        ...(await getDocumentTarget(docId)),
+        commentId: comment.comment_id
+      });
+      console.log(`✔️ 已解决评论 ${comment.comment_id}`);
+    } catch (error) {
+      console.error(`解决评论失败: ${error.message}`);
+    }
+  }
+}
+
+// 收集评论列表中所有的reply_id
+function collectReplyIds(comments) {
+  const replyIds = [];
+  comments.forEach(comment => {
     if (comment.reply_list && comment.reply_list.replies) {
       comment.reply_list.replies.forEach(reply => {
         if (reply.reply_id) {
-          cachedCommentIds.add(reply.reply_id);
+          replyIds.push(reply.reply_id);
         }
       });
     }
   });
+  return replyIds;
+}
+
+// 从已处理和机器人回复列表中删除已不在评论中的回复，避免列表随文档历史无限增长
+function pruneReplyIds(docId, currentComments) {
+  const existing = new Set(collectReplyIds(currentComments));
+  for (const collection of ['processedReplies', 'botReplies', 'handledReplies']) {
+    const replyIds = storage.get(collection, docId);
+    const kept = (replyIds || []).filter(replyId => existing.has(replyId));
+    if (replyIds && kept.length !== replyIds.length) {
+      storage.set(collection, docId, kept);
+    }
+  }
+}
+
+// 检测新增评论的函数
+function detectNewComments(currentComments, docId) {
+  const processed = storage.get('processedReplies', docId);
+  
+  // 如果是第一次获取评论，把现有回复全部记为已处理，只在有评论时打印初始化信息
+  if (!processed) {
+    storage.set('processedReplies', docId, collectReplyIds(currentComments));
+    if (currentComments.length > 0) {
+      console.log(`📋 初始化监控，当前共有 ${currentComments.length} 条评论`);
+    }
+    return [];
+  }
+  
+  // 已处理的回复ID集合，用于快速查找
+  const processedReplyIds = new Set(processed);
   
   // 找出新增的评论
   const newComments = [];
   currentComments.forEach(comment => {
     if (comment.reply_list && comment.reply_list.replies) {
       comment.reply_list.replies.forEach(reply => {
-        if (reply.reply_id && !cachedCommentIds.has(reply.reply_id)) {
+        if (reply.reply_id && !processedReplyIds.has(reply.reply_id)) {
           // 构造新评论对象，保持与原始数据结构一致
           newComments.push({
             ...comment,
@@ -374,36 +1558,50 @@ function detectNewComments(cachedComments, currentComments, docId) {
   return newComments;
 }
 
+// 未配置 LINK_SIGNING_SECRET 时，监控链接无法校验签名，改为与 /api 接口相同的认证
+// （携带API密钥；未配置密钥时只允许本机访问）
+function requireMonitorLinkAuth(req, res, next) {
+  if (!req.query.url || isLinkSigningEnabled()) {
+    return next();
+  }
+  requireApiKey(req, res, next);
+}
+
 // 基本路由
-app.get('/', (req, res) => {
-  const { url } = req.query;
+app.get('/', requireMonitorLinkAuth, (req, res) => {
+  const { url, expires, sig } = req.query;
   
   if (url) {
     console.log('收到飞书文档URL:', url);
     
+    // 只接受签名有效、未过期的链接，且只重定向到飞书/Lark域名
+    const verification = verifyMonitorLink(url, expires, sig);
+    if (!verification.valid) {
+      console.log('拒绝监控链接:', verification.reason);
+      return res.status(403).json({
+        error: `监控链接无效: ${verification.reason}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (!isAllowedRedirect(url)) {
+      console.log('拒绝非飞书域名的链接:', url);
+      return res.status(400).json({
+        error: '只支持飞书/Lark域名的文档链接',
+        url,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     // 解析文档ID
     const docInfo = parseFeishuDocId(url);
     
     if (docInfo) {
-      console.log('文档类型:', docInfo.type);
+      console.log('文档类型:', docInfo.type, `(${describeFileType(docInfo.fileType)})`);
       console.log('文档ID:', docInfo.id);
       console.log('完整文档ID:', docInfo.fullId);
       
-      // 停止之前的定时器（如果存在）
-      if (activeTimers.has(docInfo.fullId)) {
-        clearInterval(activeTimers.get(docInfo.fullId));
-        // 清理对应的评论缓存，重新开始监控
-        commentsCache.delete(docInfo.fullId);
-        initializedDocs.delete(docInfo.fullId);
-      }
-      
-      // 启动新的定时任务，每秒调用一次获取全文评论工具
-      const timer = setInterval(async () => {
-        await invokeGetCommentsTools(docInfo.fullId);
-      }, 1000); // 每秒执行一次
-      
-      // 存储定时器
-      activeTimers.set(docInfo.fullId, timer);
+      // 启动监控（已存在时重启定时器）
+      startMonitor(docInfo, { url });
       
     } else {
       console.log('无法解析文档ID，URL格式可能不正确');
@@ -421,237 +1619,1356 @@ app.get('/', (req, res) => {
       timestamp: new Date().toISOString()
     });
   }
-});
-
-// 健康检查接口
-app.get('/health', (req, res) => {
+});
+
+// 健康检查接口
+// healthy：所有MCP服务器已连接且Agent可用；degraded：部分服务器断开或Agent不可用；
+// unavailable：没有可用的MCP服务器（服务仍在后台重连）
+function getServiceHealth() {
+  const servers = mcpServerPool ? mcpServerPool.status() : [];
+  const connected = servers.filter(server => server.connected).length;
+  
+  let status = 'healthy';
+  if (connected === 0) {
+    status = 'unavailable';
+  } else if (connected < servers.length || !reactAgent) {
+    status = 'degraded';
+  }
+  
+  return {
+    status,
+    mcp: {
+      connectedServers: connected,
+      totalServers: servers.length,
+      agentReady: reactAgent !== null,
+      issues: servers
+        .filter(server => !server.connected)
+        .map(server => ({
+          name: server.name,
+          error: server.error,
+          lastErrorAt: server.lastErrorAt,
+          reconnectAttempts: server.reconnectAttempts,
+          nextRetryAt: server.nextRetryAt
+        }))
+    }
+  };
+}
+
+app.get('/health', (req, res) => {
+  res.json({
+    ...getServiceHealth(),
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Prometheus指标，启用API密钥时同样需要认证
+app.get('/metrics', requireApiKey, async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.registry.contentType);
+    res.end(await metrics.registry.metrics());
+  } catch (error) {
+    console.error('生成指标失败:', error);
+    res.status(500).end(error.message);
+  }
+});
+
+// 评论监控相关接口
+// 最近一次拉取到的评论，每条回复一项，附带所在线程的信息和Agent处理情况
+//   documentId  只返回该文档的评论，不传时返回所有监控文档
+//   userId      回复者
+//   from / to   回复创建时间范围（ISO时间，包含）
+//   handled     true 只返回触发了Agent任务的回复，false 只返回未触发的回复；job 为该回复最近一次的任务
+//   limit / offset  分页，按回复创建时间倒序；limit 默认50，最大500
+app.get('/api/comments', (req, res) => {
+  const { documentId, userId, handled } = req.query;
+  const [limit, offset] = [req.query.limit || '50', req.query.offset || '0']
+    .map(value => /^\d+$/.test(value) ? parseInt(value, 10) : NaN);
+  if (!(limit >= 1) || !(offset >= 0)) {
+    return res.status(400).json({
+      error: 'limit 必须是正整数，offset 必须是非负整数',
+      timestamp: new Date().toISOString()
+    });
+  }
+  const pageSize = Math.min(limit, 500);
+  
+  // 时间统一转换为ISO格式再比较，from / to 可以是日期或任意能被解析的时间
+  const [fromTime, toTime] = [req.query.from, req.query.to].map(value => value ? new Date(value) : null);
+  if ([fromTime, toTime].some(time => time && isNaN(time))) {
+    return res.status(400).json({
+      error: '无法解析的时间范围',
+      timestamp: new Date().toISOString()
+    });
+  }
+  const from = fromTime?.toISOString();
+  const to = toTime?.toISOString();
+  if (handled !== undefined && !['true', 'false'].includes(handled)) {
+    return res.status(400).json({
+      error: 'handled 只能是 true 或 false',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // 每条回复最近一次对应的任务
+  const jobsByReply = new Map();
+  storage.entries('jobs')
+    .map(([, job]) => job)
+    .filter(job => job.replyId && (!documentId || job.documentId === documentId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach(job => jobsByReply.set(`${job.documentId}:${job.replyId}`, job));
+  
+  const replies = storage.entries('commentsCache')
+    .filter(([docId]) => !documentId || docId === documentId)
+    .flatMap(([docId, items]) => {
+      // 已处理 = 触发过Agent任务；只是被轮询看到、被忽略或被拒绝的回复不算
+      const handledIds = new Set(storage.get('handledReplies', docId) || []);
+      return items.flatMap(item => {
+        const { replies: threadReplies, ...thread } = normalizeComment(docId, item);
+        return threadReplies.map(reply => {
+          const job = jobsByReply.get(`${docId}:${reply.replyId}`);
+          return {
+            documentId: docId,
+            commentId: thread.commentId,
+            ...reply,
+            quote: thread.quote,
+            isWhole: thread.isWhole,
+            isSolved: thread.isSolved,
+            handled: handledIds.has(reply.replyId) || Boolean(job),
+            job: job ? {
+              id: job.id,
+              type: job.type,
+              status: job.status,
+              createdAt: job.createdAt,
+              finishedAt: job.finishedAt,
+              error: job.error,
+              runIds: job.runIds
+            } : null
+          };
+        });
+      });
+    })
+    .filter(reply => !userId || reply.userId === userId)
+    .filter(reply => !from || (reply.createTime && reply.createTime >= from))
+    .filter(reply => !to || (reply.createTime && reply.createTime <= to))
+    .filter(reply => handled === undefined || reply.handled === (handled === 'true'))
+    .sort((a, b) => (b.createTime || '').localeCompare(a.createTime || ''));
+  
+  const page = replies.slice(offset, offset + pageSize);
+  res.json({
+    message: '获取评论列表',
+    data: page,
+    count: page.length,
+    total: replies.length,
+    limit: pageSize,
+    offset,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 飞书事件订阅回调
+app.post('/api/comments/webhook', (req, res) => {
+  let payload = req.body || {};
+  
+  // 配置了Encrypt Key时只接受带签名的加密推送
+  if (FEISHU_ENCRYPT_KEY) {
+    if (!payload.encrypt) {
+      console.error('收到未加密的飞书事件，已拒绝');
+      return res.status(401).json({
+        error: '缺少加密内容',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    let decrypted;
+    try {
+      decrypted = decryptEvent(payload.encrypt, FEISHU_ENCRYPT_KEY);
+    } catch (error) {
+      console.error('飞书事件解密失败:', error.message);
+      return res.status(401).json({
+        error: '事件解密失败',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // 飞书的URL校验请求不带签名头；能正确解密说明发送方持有Encrypt Key，且只回显challenge，不触发任何处理
+    if (decrypted.type !== 'url_verification') {
+      if (!verifySignature(req.headers, req.rawBody, FEISHU_ENCRYPT_KEY)) {
+        console.error('飞书事件签名校验失败');
+        return res.status(401).json({
+          error: '签名校验失败',
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (!isFreshTimestamp(req.get('x-lark-request-timestamp'))) {
+        console.error('飞书事件签名时间戳已过期');
+        return res.status(401).json({
+          error: '请求已过期',
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+    payload = decrypted;
+  } else if (payload.encrypt) {
+    console.error('收到加密事件，但未配置FEISHU_ENCRYPT_KEY');
+    return res.status(400).json({
+      error: '未配置Encrypt Key，无法解密事件',
+      timestamp: new Date().toISOString()
+    });
+  } else if (!FEISHU_VERIFICATION_TOKEN) {
+    // 没有任何校验手段时不接受事件，否则任何人都能伪造评论事件触发Agent
+    console.error('未配置FEISHU_ENCRYPT_KEY或FEISHU_VERIFICATION_TOKEN，拒绝飞书事件');
+    return res.status(403).json({
+      error: '事件订阅未启用：请配置FEISHU_ENCRYPT_KEY或FEISHU_VERIFICATION_TOKEN',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const event = normalizeEvent(payload);
+  
+  if (FEISHU_VERIFICATION_TOKEN && event.token !== FEISHU_VERIFICATION_TOKEN) {
+    console.error('飞书事件Verification Token不匹配');
+    return res.status(401).json({
+      error: 'Verification Token不匹配',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // URL校验请求，原样返回challenge
+  if (event.type === 'url_verification') {
+    console.log('收到飞书URL校验请求');
+    return res.json({ challenge: event.challenge });
+  }
+  
+  if (isDuplicateEvent(storage, event.eventId)) {
+    console.log(`忽略重复的飞书事件: ${event.eventId}`);
+    return res.json({
+      message: '重复事件已忽略',
+      received: true,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  console.log(`收到飞书事件: ${event.eventType} (${event.eventId})`);
+  
+  let routed = false;
+  if (COMMENT_EVENT_TYPES.has(event.eventType)) {
+    const fileToken = getCommentEventFileToken(event.event);
+    const docId = findMonitorIdByFileToken(fileToken);
+    
+    if (docId) {
+      // 与轮询走同一条评论处理流程，异步执行以便及时响应飞书
+      pollDocument(docId);
+      routed = true;
+    } else {
+      console.log(`文档 ${fileToken} 未在监控中，忽略评论事件`);
+    }
+  }
+  
+  res.json({
+    message: '评论webhook接收成功',
+    received: true,
+    routed,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 获取活跃的监控任务
+app.get('/api/monitors', (req, res) => {
+  const monitors = storage.entries('monitors').map(([docId, monitor]) => ({
+    documentId: docId,
+    type: monitor.type,
+    fileType: monitor.fileType,
+    objToken: monitor.objToken,
+    objType: monitor.objType,
+    url: monitor.url,
+    startTime: monitor.startTime,
+    options: monitor.options,
+    source: monitor.options?.polling === false ? 'events' : 'polling',
+    status: activeTimers.has(docId) ? 'running' : 'stopped',
+    lastPoll: lastPollResults.get(docId) || null
+  }));
+  
+  res.json({
+    message: '获取监控任务列表成功',
+    monitors: monitors,
+    count: monitors.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 通过飞书文档链接创建监控任务
+app.post('/api/monitors', (req, res) => {
+  const { url, options = {} } = req.body || {};
+  
+  // 链接会在管理页面中显示，只接受允许的飞书/Lark域名下的https链接
+  if (typeof url !== 'string' || !isAllowedRedirect(url)) {
+    return res.status(400).json({
+      error: '只支持飞书/Lark域名的文档链接',
+      url: url || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const docInfo = parseFeishuDocId(url);
+  if (!docInfo) {
+    return res.status(400).json({
+      error: '无法解析文档ID，URL格式可能不正确',
+      url: url || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (options.model && !modelRouter?.hasModel(options.model)) {
+    return res.status(400).json({
+      error: `未知的模型: ${options.model}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const monitor = startMonitor(docInfo, { url, options });
+  
+  res.status(201).json({
+    message: '监控任务创建成功',
+    monitor: { ...monitor, status: 'running' },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 生成带签名的监控链接；不传url时生成对任意文档有效的书签工具
+app.post('/api/monitor-links', (req, res) => {
+  const { url = null, ttlSeconds = 3600 } = req.body || {};
+  
+  if (!isLinkSigningEnabled()) {
+    return res.status(400).json({
+      error: '未配置 LINK_SIGNING_SECRET，监控链接无需签名',
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (url && (!isAllowedRedirect(url) || !parseFeishuDocId(url))) {
+    return res.status(400).json({
+      error: '只支持飞书/Lark域名的文档链接',
+      url,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const ttl = Math.max(1, parseInt(ttlSeconds) || 3600);
+  const { expires, sig } = signMonitorLink(url || undefined, ttl);
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const query = `expires=${expires}&sig=${sig}`;
+  
+  res.status(201).json({
+    link: url ? `${baseUrl}/?url=${encodeURIComponent(url)}&${query}` : null,
+    bookmarklet: url ? null : `javascript:location.href='${baseUrl}/?url='+encodeURIComponent(location.href)+'&${query}'`,
+    expiresAt: new Date(expires * 1000).toISOString(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 停止指定文档的监控任务
+app.delete('/api/monitors/:docId', (req, res) => {
+  const { docId } = req.params;
+  
+  if (stopMonitor(docId)) {
+    res.json({
+      message: '监控任务停止成功',
+      documentId: docId,
+      timestamp: new Date().toISOString()
+    });
+  } else {
+    res.status(404).json({
+      error: '监控任务不存在',
+      documentId: docId,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 停止所有监控任务
+app.delete('/api/monitors', (req, res) => {
+  const docIds = new Set([
+    ...activeTimers.keys(),
+    ...storage.entries('monitors').map(([docId]) => docId)
+  ]);
+  
+  docIds.forEach(docId => stopMonitor(docId));
+  
+  res.json({
+    message: '所有监控任务已停止',
+    stoppedCount: docIds.size,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 模型配置（不包含API密钥）
+app.get('/api/models', (req, res) => {
+  if (!modelRouter) {
+    return res.status(503).json({
+      error: '模型未初始化',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.json({
+    ...modelRouter.describe(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 以SSE推送服务事件，可按文档、任务和事件类型过滤：
+//   GET /api/events?documentId=xxx&jobId=xxx&types=job.*,agent.tool_call
+// 断线重连时浏览器会带上 Last-Event-ID，补发之后的历史事件
+app.get('/api/events', (req, res) => {
+  const filter = {
+    documentId: req.query.documentId || null,
+    jobId: req.query.jobId || null,
+    types: (req.query.types || '').split(',').map(type => type.trim()).filter(Boolean)
+  };
+  const lastEventId = parseInt(req.get('last-event-id') || req.query.since || '0') || 0;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const send = event => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  
+  if (lastEventId > 0) {
+    eventBus.getHistory(filter, lastEventId).forEach(send);
+  }
+  const unsubscribe = eventBus.subscribe(filter, send);
+  
+  // 定期发送注释行，防止代理因空闲断开连接
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, 15000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// MCP工具相关接口
+app.get('/api/mcp/tools', async (req, res) => {
+  try {
+    if (!mcpClient) {
+      return res.status(503).json({
+        error: 'MCP客户端未初始化',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const tools = await mcpClient.getTools();
+    res.json({
+      message: '获取MCP工具列表成功',
+      tools: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.inputSchema || tool.schema || {},
+        schema: tool.schema
+      })),
+      count: tools.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('获取MCP工具失败:', error);
+    res.status(500).json({
+      error: '获取MCP工具失败',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 通过接口执行中的Agent，runId -> { controller, sessionId }，用于取消和断开连接时中止
+const activeApiRuns = new Map();
+
+// 接口执行的最长时间（秒），请求中的 timeout_seconds 不能超过该值
+const AGENT_TIMEOUT_SECONDS = parseInt(process.env.AGENT_TIMEOUT_SECONDS || '300');
+
+// 接口会话闲置超过该时间（小时）后连同对话历史一起删除，0表示不自动删除
+const API_SESSION_TTL_HOURS = parseFloat(process.env.API_SESSION_TTL_HOURS || '168');
+
+// 删除闲置过期的接口会话及其检查点，有执行中请求的会话保留；访问会话时和启动时调用
+async function expireApiSessions() {
+  if (!(API_SESSION_TTL_HOURS > 0)) {
+    return [];
+  }
+  
+  const deadline = Date.now() - API_SESSION_TTL_HOURS * 60 * 60 * 1000;
+  const activeSessions = new Set([...activeApiRuns.values()].map(item => item.sessionId));
+  const expired = storage.entries('apiSessions')
+    .map(([, session]) => session)
+    .filter(session => Date.parse(session.updatedAt) <= deadline && !activeSessions.has(session.sessionId));
+  
+  for (const session of expired) {
+    await checkpointer.deleteThread(session.threadId);
+    storage.delete('apiSessions', session.sessionId);
+  }
+  if (expired.length > 0) {
+    console.log(`🧹 已删除 ${expired.length} 个过期的接口会话`);
+  }
+  return expired;
+}
+
+// 已结束的任务、执行记录（含快照）、用量记录和闲置的评论线程对话的保留天数，0表示永久保留
+const HISTORY_RETENTION_DAYS = parseFloat(process.env.HISTORY_RETENTION_DAYS || '90');
+const HISTORY_PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+let historyPruneTimer = null;
+
+// 清理超过保留期限的历史数据，评论线程的对话检查点随线程一起删除
+async function pruneHistory() {
+  if (!(HISTORY_RETENTION_DAYS > 0)) {
+    return;
+  }
+  
+  const deadline = new Date(Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const before = deadline.toISOString();
+  const jobs = jobQueue.prune(before);
+  const runs = pruneRuns(storage, before);
+  const usage = pruneUsage(storage, formatDay(deadline));
+  
+  const threads = storage.entries('commentThreads')
+    .filter(([, thread]) => thread.updatedAt < before);
+  for (const [threadId] of threads) {
+    await checkpointer.deleteThread(threadId);
+    storage.delete('commentThreads', threadId);
+  }
+  
+  if (jobs + runs + usage + threads.length > 0) {
+    console.log(`🧹 已清理超过 ${HISTORY_RETENTION_DAYS} 天的历史数据：任务 ${jobs} 个，执行记录 ${runs} 条，用量记录 ${usage} 条，评论对话 ${threads.length} 个`);
+  }
+}
+
+// 当前调用方能访问的会话：启用API密钥时只能访问自己创建的会话
+function canAccessApiSession(req, session) {
+  return Boolean(session) && (!isApiAuthEnabled() || session.caller === getApiCaller(req));
+}
+
+// 中止原因对应的执行状态和说明
+const ABORT_REASONS = {
+  timeout: { status: 'failed', message: '执行超时' },
+  cancelled: { status: 'cancelled', message: '执行已被取消' },
+  disconnected: { status: 'cancelled', message: '客户端已断开连接' }
+};
+
+// 使用Agent执行任务的API
+//   message          用户消息
+//   model            使用的模型，不传时使用默认模型
+//   session_id       会话ID，相同会话的请求延续之前的对话；不传时为一次性对话
+//                    会话闲置超过 API_SESSION_TTL_HOURS 后自动删除
+//   timeout_seconds  执行超时时间，默认且最大为 AGENT_TIMEOUT_SECONDS
+// 客户端断开连接、超时或调用 POST /api/agent/runs/:id/cancel 时中止执行
+app.post('/api/agent/execute', express.json(), async (req, res) => {
+  try {
+    if (!reactAgent) {
+      return res.status(503).json({
+        error: 'React Agent未初始化',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { message, model = null, session_id: sessionId = null, timeout_seconds: timeoutSeconds = null } = req.body;
+    if (!message) {
+      return res.status(400).json({
+        error: '请提供消息内容',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (model && !modelRouter.hasModel(model)) {
+      return res.status(400).json({
+        error: `未知的模型: ${model}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (timeoutSeconds !== null && !(Number(timeoutSeconds) > 0)) {
+      return res.status(400).json({
+        error: 'timeout_seconds 必须是正数',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const caller = getApiCaller(req);
+    if (sessionId !== null) {
+      if (typeof sessionId !== 'string' || !/^[\w-]{1,128}$/.test(sessionId)) {
+        return res.status(400).json({
+          error: 'session_id 只能包含字母、数字、下划线和短横线，最长128个字符',
+          timestamp: new Date().toISOString()
+        });
+      }
+      // 启用API密钥时，会话只能由创建它的密钥继续使用
+      await expireApiSessions();
+      const session = storage.get('apiSessions', sessionId);
+      if (session && isApiAuthEnabled() && session.caller !== caller) {
+        return res.status(403).json({
+          error: '无权使用该会话',
+          sessionId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if ([...activeApiRuns.values()].some(item => item.sessionId === sessionId)) {
+        return res.status(409).json({
+          error: '该会话中已有执行中的请求',
+          sessionId,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+    
+    console.log('📨 收到Agent执行请求:', message);
+    
+    // 设置SSE响应头
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    
+    // 客户端断开后不再写入
+    const send = data => {
+      if (!res.destroyed && !res.writableEnded) {
+        res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+      }
+    };
+    
+    // 会话使用固定线程保留对话历史；一次性对话使用临时线程，执行结束后删除其检查点
+    const threadId = sessionId ? getApiSessionThreadId(sessionId) : `api:${crypto.randomUUID()}`;
+    const run = createRun(storage, { source: 'api', caller, threadId, instruction: message, model });
+    if (sessionId) {
+      touchApiSession(sessionId, caller, run.id);
+    }
+    publishRunEvent('agent.started', run.id, { mode: 'execute', instruction: message, model, sessionId });
+    appendRunMessage(storage, run.id, { role: 'user', content: message });
+    send({ type: 'run', runId: run.id, sessionId });
+    let finalMessage = null;
+    
+    const controller = new AbortController();
+    activeApiRuns.set(run.id, { controller, sessionId });
+    const timeoutMs = Math.min(Number(timeoutSeconds) || AGENT_TIMEOUT_SECONDS, AGENT_TIMEOUT_SECONDS) * 1000;
+    const timer = setTimeout(() => controller.abort('timeout'), timeoutMs);
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort('disconnected');
+      }
+    });
+    
+    try {
+      const stream = await reactAgent.stream({
+        messages: [{ role: "user", content: message }]
+      }, { signal: controller.signal, configurable: { thread_id: threadId, agent_run_id: run.id, model } });
+      
+      for await (const chunk of stream) {
+        // 发送Agent消息
+        if (chunk.agent) {
+          const agentMessage = chunk.agent.messages[chunk.agent.messages.length - 1];
+          
+          recordRunTokenUsage(run, agentMessage);
+          publishRunEvent('agent.message', run.id, {
+            content: agentMessage.content || '',
+            reasoning: agentMessage.reasoning_content || null,
+            toolCalls: (agentMessage.tool_calls || []).map(toolCall => toolCall.name)
+          });
+          appendRunMessage(storage, run.id, {
+            role: 'agent',
+            content: agentMessage.content || '',
+            reasoning: agentMessage.reasoning_content || null,
+            toolCalls: (agentMessage.tool_calls || []).map(toolCall => ({ name: toolCall.name, args: toolCall.args }))
+          });
+          
+          if (agentMessage.content) {
+            finalMessage = agentMessage.content;
+            send({ type: 'agent', content: agentMessage.content });
+          }
+          
+          for (const toolCall of agentMessage.tool_calls || []) {
+            send({ type: 'tool_call', tool: toolCall.name, args: toolCall.args });
+          }
+        }
+        
+        // 发送工具响应
+        if (chunk.tools) {
+          for (const toolMessage of chunk.tools.messages || []) {
+            const content = getToolOutputText([toolMessage.content]);
+            appendRunMessage(storage, run.id, { role: 'tool', tool: toolMessage.name, content });
+            send({ 
+              type: 'tool_response', 
+              tool: toolMessage.name,
+              success: toolMessage.status !== 'error' && getToolOutputStatus([content]).success
+            });
+          }
+        }
+        
+        // 发送最终响应
+        if (chunk.__end__ && chunk.messages) {
+          const lastMessage = chunk.messages[chunk.messages.length - 1];
+          send({ 
+            type: 'final', 
+            content: lastMessage.content 
+          });
+        }
+      }
+      
+      await completeRun(run.id, { status: 'succeeded', finalMessage });
+      publishRunEvent('agent.finished', run.id, { status: 'succeeded', finalMessage });
+      send('[DONE]');
+      res.end();
+      
+    } catch (streamError) {
+      const abort = controller.signal.aborted ? ABORT_REASONS[controller.signal.reason] : null;
+      const status = abort ? abort.status : 'failed';
+      const errorMessage = abort ? abort.message : streamError.message;
+      if (abort) {
+        console.warn(`⏹️ Agent执行 ${run.id} 已中止: ${errorMessage}`);
+      } else {
+        console.error('Stream处理错误:', streamError);
+      }
+      await completeRun(run.id, { status, error: errorMessage });
+      publishRunEvent('agent.finished', run.id, { status, error: errorMessage });
+      send({ 
+        type: 'error', 
+        reason: abort ? controller.signal.reason : 'error',
+        message: errorMessage 
+      });
+      res.end();
+      if (sessionId) {
+        await closeInterruptedToolCalls(reactAgent, threadId);
+      }
+    } finally {
+      clearTimeout(timer);
+      activeApiRuns.delete(run.id);
+      if (!sessionId) {
+        await checkpointer.deleteThread(threadId);
+      }
+    }
+    
+  } catch (error) {
+    console.error('Agent执行失败:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Agent执行失败',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 中止执行中的Agent：接口发起的执行直接中止，评论触发的执行通过取消所属任务中止
+// 启用API密钥时只能中止自己发起的执行；评论触发的执行没有调用方，与 POST /api/jobs/:id/cancel 一样任何有效密钥都可以取消
+app.post('/api/agent/runs/:id/cancel', (req, res) => {
+  const run = getRun(storage, req.params.id);
+  
+  if (!run) {
+    return res.status(404).json({
+      error: '执行记录不存在',
+      runId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (isApiAuthEnabled() && run.caller && run.caller !== getApiCaller(req)) {
+    return res.status(403).json({
+      error: '无权取消该执行',
+      runId: run.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const active = activeApiRuns.get(run.id);
+  if (active) {
+    active.controller.abort('cancelled');
+    return res.json({
+      message: '已中止执行',
+      runId: run.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const job = run.status === 'running' && run.jobId ? jobQueue.cancel(run.jobId) : null;
+  if (job) {
+    return res.json({
+      message: '已取消执行所属的任务',
+      runId: run.id,
+      job,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(409).json({
+    error: '执行已结束，无法取消',
+    runId: run.id,
+    status: run.status,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 当前调用方的接口会话列表，按最近使用时间倒序
+app.get('/api/agent/sessions', async (req, res) => {
+  await expireApiSessions();
+  const sessions = storage.entries('apiSessions')
+    .map(([, session]) => session)
+    .filter(session => canAccessApiSession(req, session))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  
+  res.json({
+    message: '获取会话列表成功',
+    sessions,
+    count: sessions.length,
+    ttlHours: API_SESSION_TTL_HOURS,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 查看接口会话的对话历史
+app.get('/api/agent/sessions/:id', async (req, res) => {
+  await expireApiSessions();
+  const session = storage.get('apiSessions', req.params.id);
+  
+  if (!canAccessApiSession(req, session)) {
+    return res.status(404).json({
+      error: '会话不存在',
+      sessionId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const tuple = await checkpointer.getTuple({ configurable: { thread_id: session.threadId } });
+    const messages = tuple?.checkpoint?.channel_values?.messages || [];
+    
+    res.json({
+      message: '获取会话对话成功',
+      session,
+      messages: formatThreadMessages(messages),
+      count: messages.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('获取会话对话失败:', error);
+    res.status(500).json({
+      error: '获取会话对话失败',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 删除接口会话及其对话历史
+app.delete('/api/agent/sessions/:id', async (req, res) => {
+  await expireApiSessions();
+  const session = storage.get('apiSessions', req.params.id);
+  
+  if (!canAccessApiSession(req, session)) {
+    return res.status(404).json({
+      error: '会话不存在',
+      sessionId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if ([...activeApiRuns.values()].some(item => item.sessionId === session.sessionId)) {
+    return res.status(409).json({
+      error: '该会话中有执行中的请求，请先取消',
+      sessionId: session.sessionId,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  await checkpointer.deleteThread(session.threadId);
+  storage.delete('apiSessions', session.sessionId);
+  
+  res.json({
+    message: '会话已删除',
+    sessionId: session.sessionId,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 获取修改提案列表
+app.get('/api/proposals', (req, res) => {
+  const { documentId, status } = req.query;
+  const proposals = listProposals(storage, { documentId, status });
+  
+  res.json({
+    message: '获取修改提案列表成功',
+    proposals,
+    count: proposals.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 获取单个修改提案
+app.get('/api/proposals/:id', (req, res) => {
+  const proposal = getProposal(storage, req.params.id);
+  
+  if (!proposal) {
+    return res.status(404).json({
+      error: '提案不存在',
+      proposalId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.json({
+    message: '获取修改提案成功',
+    proposal,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 通过API审批修改提案，approve 后创建任务在后台执行计划
+app.post('/api/proposals/:id/:decision(approve|reject)', async (req, res) => {
+  const { id, decision } = req.params;
+  const proposal = getProposal(storage, id);
+  
+  if (!proposal) {
+    return res.status(404).json({
+      error: '提案不存在',
+      proposalId: id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (proposal.status !== 'pending') {
+    return res.status(409).json({
+      error: '提案不是待审批状态',
+      proposalId: id,
+      status: proposal.status,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // 审批人记录为调用方（API密钥指纹或客户端IP），不采用请求中自报的名字
+  const updated = await decideProposal(proposal, decision, getApiCaller(req));
+  
+  res.status(decision === 'approve' ? 202 : 200).json({
+    message: decision === 'approve' ? '提案已批准，正在执行' : '提案已拒绝',
+    proposal: updated,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 获取Agent任务列表
+app.get('/api/jobs', (req, res) => {
+  const { status, documentId } = req.query;
+  const limit = parseInt(req.query.limit || '50');
+  const jobs = jobQueue.list({ status, documentId, limit });
+  
+  res.json({
+    message: '获取任务列表成功',
+    jobs,
+    count: jobs.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 获取单个任务
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: '任务不存在',
+      jobId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   res.json({
-    status: 'healthy',
-    uptime: process.uptime(),
+    message: '获取任务成功',
+    job,
     timestamp: new Date().toISOString()
   });
 });
 
-// 评论监控相关接口
-app.get('/api/comments', (req, res) => {
-  res.json({
-    message: '获取评论列表',
-    data: [],
+// 重新执行已结束的任务
+app.post('/api/jobs/:id/retry', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: '任务不存在',
+      jobId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const updated = jobQueue.retry(job.id);
+  if (!updated) {
+    return res.status(409).json({
+      error: '只能重试已结束的任务，已取消的任务需等待执行停止后再重试',
+      jobId: job.id,
+      status: job.status,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(202).json({
+    message: '任务已重新排队',
+    job: updated,
     timestamp: new Date().toISOString()
   });
 });
 
-app.post('/api/comments/webhook', (req, res) => {
-  console.log('收到评论webhook:', req.body);
+// 取消排队中或执行中的任务
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: '任务不存在',
+      jobId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const updated = jobQueue.cancel(job.id);
+  if (!updated) {
+    return res.status(409).json({
+      error: '任务已结束，无法取消',
+      jobId: job.id,
+      status: job.status,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   res.json({
-    message: '评论webhook接收成功',
-    received: true,
+    message: '任务已取消',
+    job: updated,
     timestamp: new Date().toISOString()
   });
 });
 
-// 获取活跃的监控任务
-app.get('/api/monitors', (req, res) => {
-  const monitors = Array.from(activeTimers.keys()).map(docId => ({
-    documentId: docId,
-    startTime: new Date().toISOString(), // 简化处理，实际应该记录启动时间
-    status: 'running'
-  }));
-  
+// token用量统计：按天或按月汇总，可按文档、评论者、模型过滤和分组
+// 指定了文档或评论者时附带当前周期的预算使用情况
+app.get('/api/usage', (req, res) => {
+  const { from, to, documentId, userId, model } = req.query;
+  const period = req.query.period || 'day';
+  const groupBy = (req.query.groupBy || '').split(',').map(item => item.trim()).filter(Boolean);
+
+  if (!['day', 'month'].includes(period)) {
+    return res.status(400).json({
+      error: `不支持的统计周期: ${period}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  const invalidBound = [['from', from], ['to', to]].find(([, value]) => value && !toPeriodBound(value, period));
+  if (invalidBound) {
+    return res.status(400).json({
+      error: `${invalidBound[0]} 格式不正确，应为 YYYY-MM-DD 或 YYYY-MM: ${invalidBound[1]}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  const invalidGroup = groupBy.find(item => !['document', 'user', 'model'].includes(item));
+  if (invalidGroup) {
+    return res.status(400).json({
+      error: `不支持的分组维度: ${invalidGroup}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const usage = queryUsage(storage, { period, from, to, documentId, userId, model, groupBy });
+  const totals = usage.reduce((sum, item) => ({
+    input: sum.input + item.input,
+    output: sum.output + item.output,
+    total: sum.total + item.total,
+    calls: sum.calls + item.calls
+  }), { input: 0, output: 0, total: 0, calls: 0 });
+
+  const budget = documentId ? getMonitorOptions(documentId).budget : DEFAULT_MONITOR_OPTIONS.budget;
   res.json({
-    message: '获取监控任务列表成功',
-    monitors: monitors,
-    count: monitors.length,
+    message: '获取token用量成功',
+    period,
+    usage,
+    totals,
+    budgets: documentId || userId ? getBudgetStatus(storage, { documentId, userId }, budget) : undefined,
     timestamp: new Date().toISOString()
   });
 });
 
-// 停止指定文档的监控任务
-app.delete('/api/monitors/:docId', (req, res) => {
-  const { docId } = req.params;
-  
-  if (activeTimers.has(docId)) {
-    clearInterval(activeTimers.get(docId));
-    activeTimers.delete(docId);
-    
-    // 清理对应的评论缓存
-    commentsCache.delete(docId);
-    initializedDocs.delete(docId);
-    
+// 审计日志查询条件，from / to 为ISO时间，tool 支持 * 通配符
+function getAuditFilter(query) {
+  const { from, to, runId, jobId, source, documentId, commentId, userId, caller, tool, status } = query;
+  return { from, to, runId, jobId, source, documentId, commentId, userId, caller, tool, status };
+}
+
+// 查询工具调用审计日志，按时间倒序分页
+app.get('/api/audit', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100') || 0, 1000);
+    // 查询时在内存中保留 offset + limit 条记录，更早的记录请使用导出接口
+    const offset = Math.min(parseInt(req.query.offset || '0') || 0, 100000);
+    const { records, total } = await auditLog.query(getAuditFilter(req.query), { limit, offset });
+
     res.json({
-      message: '监控任务停止成功',
-      documentId: docId,
+      message: '获取审计日志成功',
+      records,
+      count: records.length,
+      total,
+      limit,
+      offset,
       timestamp: new Date().toISOString()
     });
-  } else {
-    res.status(404).json({
-      error: '监控任务不存在',
-      documentId: docId,
+  } catch (error) {
+    console.error('查询审计日志失败:', error);
+    res.status(500).json({
+      error: '查询审计日志失败',
+      message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// 停止所有监控任务
-app.delete('/api/monitors', (req, res) => {
-  const stoppedCount = activeTimers.size;
-  
-  activeTimers.forEach((timer, docId) => {
-    clearInterval(timer);
+// 按相同的查询条件导出审计日志（JSONL，按时间顺序）
+app.get('/api/audit/export', async (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Content-Disposition': `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.jsonl"`
   });
+
+  const filter = getAuditFilter(req.query);
+  const lines = (async function* () {
+    for await (const record of auditLog.read(filter)) {
+      yield `${JSON.stringify(record)}\n`;
+    }
+  })();
+  
+  try {
+    await pipeline(Readable.from(lines), res);
+  } catch (error) {
+    // 客户端中途断开时也会走到这里
+    console.error('导出审计日志失败:', error.message);
+  }
+});
+
+// 获取Agent执行记录列表
+app.get('/api/runs', (req, res) => {
+  const { documentId } = req.query;
+  const limit = parseInt(req.query.limit || '50');
+  const runs = listRuns(storage, { documentId, limit });
   
-  activeTimers.clear();
+  res.json({
+    message: '获取执行记录列表成功',
+    runs,
+    count: runs.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 获取单条执行记录（含工具调用）
+app.get('/api/runs/:id', (req, res) => {
+  const run = getRun(storage, req.params.id);
   
-  // 清理所有评论缓存
-  commentsCache.clear();
-  initializedDocs.clear();
+  if (!run) {
+    return res.status(404).json({
+      error: '执行记录不存在',
+      runId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
   
   res.json({
-    message: '所有监控任务已停止',
-    stoppedCount: stoppedCount,
+    message: '获取执行记录成功',
+    run: summarizeRun(run),
     timestamp: new Date().toISOString()
   });
 });
 
-// MCP工具相关接口
-app.get('/api/mcp/tools', async (req, res) => {
+// 查看执行前后的文档差异
+app.get('/api/runs/:id/diff', async (req, res) => {
+  const run = getRun(storage, req.params.id);
+  
+  if (!run) {
+    return res.status(404).json({
+      error: '执行记录不存在',
+      runId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (run.snapshotsPrunedAt) {
+    return res.status(409).json({
+      error: '文档快照已超过保留期限被删除，无法对比',
+      runId: run.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   try {
-    if (!mcpClient) {
-      return res.status(503).json({
-        error: 'MCP客户端未初始化',
-        timestamp: new Date().toISOString()
+    const documents = [];
+    for (const [documentId, snapshot] of Object.entries(run.snapshots)) {
+      // 执行仍在进行或未保存修改后快照时，与文档当前内容对比
+      let after = snapshot.after?.blocks;
+      if (!after) {
+        if (!mcpClient) {
+          throw new Error('MCP客户端未初始化，无法读取文档当前内容');
+        }
+        after = await captureDocumentBlocks(await mcpClient.getTools(), documentId);
+      }
+      documents.push({
+        documentId,
+        capturedAt: { before: snapshot.before?.capturedAt, after: snapshot.after?.capturedAt || null },
+        diff: diffBlocks(snapshot.before?.blocks || [], after)
       });
     }
     
-    const tools = await mcpClient.getTools();
     res.json({
-      message: '获取MCP工具列表成功',
-      tools: tools.map(tool => ({
-        name: tool.name,
-        description: tool.description,
-        inputSchema: tool.inputSchema || tool.schema || {},
-        schema: tool.schema
-      })),
-      count: tools.length,
+      message: '获取文档差异成功',
+      runId: run.id,
+      documents,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('获取MCP工具失败:', error);
+    console.error('获取文档差异失败:', error);
     res.status(500).json({
-      error: '获取MCP工具失败',
+      error: '获取文档差异失败',
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// 使用Agent执行任务的API
-app.post('/api/agent/execute', express.json(), async (req, res) => {
+// 把执行修改过的文档恢复到执行前的内容
+app.post('/api/runs/:id/rollback', async (req, res) => {
+  const run = getRun(storage, req.params.id);
+  
+  if (!run) {
+    return res.status(404).json({
+      error: '执行记录不存在',
+      runId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const blocker = getRollbackBlocker(run);
+  if (blocker) {
+    return res.status(409).json({
+      error: `无法回滚：${blocker}`,
+      runId: run.id,
+      status: run.status,
+      unsnapshottedWrites: run.unsnapshottedWrites || [],
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (!mcpClient) {
+    return res.status(503).json({
+      error: 'MCP客户端未初始化',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
   try {
-    if (!reactAgent) {
-      return res.status(503).json({
-        error: 'React Agent未初始化',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    const { message } = req.body;
-    if (!message) {
-      return res.status(400).json({
-        error: '请提供消息内容',
-        timestamp: new Date().toISOString()
-      });
+    const tools = await mcpClient.getTools();
+    const results = {};
+    for (const [documentId, snapshot] of Object.entries(run.snapshots)) {
+      console.log(`⏪ 正在回滚文档 ${documentId} (执行记录 ${run.id})`);
+      results[documentId] = await restoreDocument(tools, documentId, snapshot.before?.blocks || []);
     }
     
-    console.log('📨 收到Agent执行请求:', message);
+    const rollback = { at: new Date().toISOString(), results };
+    updateRun(storage, run.id, { rollback });
     
-    // 设置SSE响应头
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive'
+    res.json({
+      message: '回滚完成',
+      runId: run.id,
+      rollback,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error('回滚失败:', error);
+    res.status(500).json({
+      error: '回滚失败',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// 查看评论线程的Agent对话历史
+app.get('/api/threads/:docId/:commentId', async (req, res) => {
+  const { docId, commentId } = req.params;
+  const threadId = getCommentThreadId(docId, commentId);
+  const thread = storage.get('commentThreads', threadId);
+  
+  if (!thread) {
+    return res.status(404).json({
+      error: '评论线程不存在',
+      threadId,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const tuple = await checkpointer.getTuple({ configurable: { thread_id: threadId } });
+    const messages = tuple?.checkpoint?.channel_values?.messages || [];
     
-    try {
-      const stream = await reactAgent.stream({
-        messages: [{ role: "user", content: message }]
-      });
-      
-      for await (const chunk of stream) {
-        // 发送Agent消息
-        if (chunk.agent) {
-          const agentMessage = chunk.agent.messages[chunk.agent.messages.length - 1];
-          
-          if (agentMessage.content) {
-            res.write(`data: ${JSON.stringify({ type: 'agent', content: agentMessage.content })}\n\n`);
-          }
-          
-          if (agentMessage.additional_kwargs?.tool_calls) {
-            for (const toolCall of agentMessage.additional_kwargs.tool_calls) {
-              res.write(`data: ${JSON.stringify({ 
-                type: 'tool_call', 
-                tool: toolCall.function.name,
-                args: JSON.parse(toolCall.function.arguments)
-              })}\n\n`);
-            }
-          }
-        }
-        
-        // 发送工具响应
-        if (chunk.tools) {
-          for (const [key, toolMessages] of Object.entries(chunk.tools)) {
-            if (Array.isArray(toolMessages)) {
-              for (const message of toolMessages) {
-                if (message.kwargs?.tool_call_id) {
-                  const toolName = message.kwargs.tool_call_id.split(':')[0];
-                  res.write(`data: ${JSON.stringify({ 
-                    type: 'tool_response', 
-                    tool: toolName,
-                    success: true
-                  })}\n\n`);
-                }
-              }
-            }
-          }
-        }
-        
-        // 发送最终响应
-        if (chunk.__end__ && chunk.messages) {
-          const lastMessage = chunk.messages[chunk.messages.length - 1];
-          res.write(`data: ${JSON.stringify({ 
-            type: 'final', 
-            content: lastMessage.content 
-          })}\n\n`);
-        }
-      }
-      
-      res.write('data: [DONE]\n\n');
-      res.end();
-      
-    } catch (streamError) {
-      console.error('Stream处理错误:', streamError);
-      res.write(`data: ${JSON.stringify({ 
-        type: 'error', 
-        message: streamError.message 
-      })}\n\n`);
-      res.end();
-    }
-    
+    res.json({
+      message: '获取评论线程对话成功',
+      thread,
+      messages: formatThreadMessages(messages),
+      count: messages.length,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('Agent执行失败:', error);
+    console.error('获取评论线程对话失败:', error);
     res.status(500).json({
-      error: 'Agent执行失败',
+      error: '获取评论线程对话失败',
       message: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+// 重置评论线程的Agent对话历史，之后的回复将开始新的对话
+app.delete('/api/threads/:docId/:commentId', async (req, res) => {
+  const { docId, commentId } = req.params;
+  const threadId = getCommentThreadId(docId, commentId);
+  
+  if (!storage.get('commentThreads', threadId)) {
+    return res.status(404).json({
+      error: '评论线程不存在',
+      threadId,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  await checkpointer.deleteThread(threadId);
+  storage.delete('commentThreads', threadId);
+  
+  res.json({
+    message: '评论线程对话已重置',
+    threadId,
+    timestamp: new Date().toISOString()
+  });
+});
+
 app.get('/api/mcp/status', (req, res) => {
   res.json({
     message: 'MCP客户端状态',
+    status: getServiceHealth().status,
+    connected: mcpClient !== null,
+    agentReady: reactAgent !== null,
+    servers: mcpServerPool ? mcpServerPool.status() : [],
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 重新读取MCP服务器配置，重建所有连接和Agent，无需重启服务
+app.post('/api/mcp/reload', async (req, res) => {
+  console.log('🔄 重新加载MCP服务器配置...');
+  const tools = await initializeMCPClient();
+  
+  res.status(mcpClient ? 200 : 502).json({
+    message: mcpClient ? 'MCP服务器已重新加载' : 'MCP服务器重新加载失败',
     connected: mcpClient !== null,
-    serverUrl: 'https://fms.666444.best/mcp',
+    agentReady: reactAgent !== null,
+    toolCount: tools.length,
+    servers: mcpServerPool ? mcpServerPool.status() : [],
     timestamp: new Date().toISOString()
   });
 });
@@ -678,51 +2995,71 @@ app.listen(PORT, async () => {
   console.log(`飞书文档评论监控服务已启动 (使用nodemon自动重启)`);
   console.log(`服务地址: http://localhost:${PORT}`);
   console.log(`健康检查: http://localhost:${PORT}/health`);
+  console.log(`管理页面: http://localhost:${PORT}/dashboard`);
+  console.log(`Prometheus指标: http://localhost:${PORT}/metrics`);
   console.log(`评论API: http://localhost:${PORT}/api/comments`);
   console.log(`监控任务: http://localhost:${PORT}/api/monitors`);
   console.log(`MCP工具: http://localhost:${PORT}/api/mcp/tools`);
+  console.log(`模型配置: http://localhost:${PORT}/api/models`);
   console.log(`MCP状态: http://localhost:${PORT}/api/mcp/status`);
   console.log(`Agent执行: POST http://localhost:${PORT}/api/agent/execute`);
+  console.log(`Agent任务: http://localhost:${PORT}/api/jobs`);
+  console.log(`事件流: http://localhost:${PORT}/api/events`);
   console.log(`使用方法: 访问 /?url=飞书文档链接 开始监控`);
+  if (!isApiAuthEnabled() && isUnauthenticatedApiAllowed()) {
+    console.warn('⚠️⚠️⚠️ 未配置 API_KEYS 且 ALLOW_UNAUTHENTICATED_API=true：/api、/metrics 和 Agent执行接口对任意来源开放，不要在公网环境使用 ⚠️⚠️⚠️');
+  } else if (!isApiAuthEnabled()) {
+    console.warn('⚠️ 未配置 API_KEYS：/api、/metrics 和 Agent执行接口只接受本机请求，其他来源返回403');
+  }
+  if (!isLinkSigningEnabled()) {
+    console.warn('⚠️ 未配置 LINK_SIGNING_SECRET，/?url= 监控链接与 /api 接口使用相同的认证');
+  }
+  if (!getBotUserId()) {
+    console.warn('⚠️ 未配置 BOT_USER_ID，@机器人触发不可用；机器人自己的回复将按回复ID和内容识别');
+  }
   
   // 初始化MCP客户端
   await initializeMCPClient();
+  
+  // 恢复重启前的监控任务和未完成的Agent任务
+  resumeMonitors();
+  const resumedJobs = jobQueue.resume();
+  if (resumedJobs > 0) {
+    console.log(`♻️ 已恢复 ${resumedJobs} 个未完成的任务`);
+  }
+  await expireApiSessions();
+  
+  // 启动时和之后每天清理一次历史数据
+  await pruneHistory();
+  historyPruneTimer = setInterval(() => {
+    pruneHistory().catch(error => console.error('清理历史数据失败:', error.message));
+  }, HISTORY_PRUNE_INTERVAL_MS);
 });
 
 // 优雅关闭处理
 process.on('SIGINT', async () => {
   console.log('\n正在关闭服务器...');
   
-  // 清理所有定时器和缓存
+  // 停止所有定时器，监控任务和评论缓存保留在持久化存储中，下次启动时恢复
   if (activeTimers.size > 0) {
     activeTimers.forEach((timer, docId) => {
       clearInterval(timer);
     });
     activeTimers.clear();
   }
+  clearInterval(historyPruneTimer);
   
-  // 清理评论缓存
-  commentsCache.clear();
-  initializedDocs.clear();
+  // 停止任务调度，未完成的任务下次启动时恢复
+  jobQueue.stop();
   
-  // 清理OAuth认证提供者
-  if (authProvider) {
-    try {
-      await authProvider.cleanup();
-      console.log('OAuth认证已清理');
-    } catch (error) {
-      console.error('清理OAuth认证时出错:', error.message);
-    }
-  }
+  // 把尚未落盘的数据写入存储
+  storage.flush();
   
-  if (mcpClient) {
-    try {
-      console.log('正在关闭MCP客户端连接...');
-      await mcpClient.close();
-      console.log('MCP客户端连接已关闭');
-    } catch (error) {
-      console.error('关闭MCP客户端时出错:', error.message);
-    }
+  // 关闭所有MCP服务器连接并清理OAuth认证资源
+  if (mcpServerPool) {
+    console.log('正在关闭MCP客户端连接...');
+    await mcpServerPool.close();
+    console.log('MCP客户端连接已关闭');
   }
   
   console.log('服务器已关闭');
@@ -732,34 +3069,25 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   console.log('\n收到SIGTERM信号，正在关闭服务器...');
   
-  // 清理所有定时器和缓存
+  // 停止所有定时器，监控任务和评论缓存保留在持久化存储中，下次启动时恢复
   if (activeTimers.size > 0) {
     activeTimers.forEach((timer, docId) => {
       clearInterval(timer);
     });
     activeTimers.clear();
   }
+  clearInterval(historyPruneTimer);
   
-  // 清理评论缓存
-  commentsCache.clear();
-  initializedDocs.clear();
+  // 停止任务调度，未完成的任务下次启动时恢复
+  jobQueue.stop();
   
-  // 清理OAuth认证提供者
-  if (authProvider) {
-    try {
-      await authProvider.cleanup();
-    } catch (error) {
-      console.error('清理OAuth认证时出错:', error.message);
-    }
-  }
+  // 把尚未落盘的数据写入存储
+  storage.flush();
   
-  if (mcpClient) {
-    try {
-      await mcpClient.close();
-      console.log('MCP客户端连接已关闭');
-    } catch (error) {
-      console.error('关闭MCP客户端时出错:', error.message);
-    }
+  // 关闭所有MCP服务器连接并清理OAuth认证资源
+  if (mcpServerPool) {
+    await mcpServerPool.close();
+    console.log('MCP客户端连接已关闭');
   }
   
   process.exit(0);
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { matchesPattern } = require('./tools');
+
+// Agent工具调用审计日志
+//
+// 每次工具调用（包括被策略拒绝的调用）追加一行JSON到 AUDIT_LOG_PATH（默认 ./data/audit.jsonl），
+// 文件只追加不修改，可以直接作为JSONL导出。每条记录：
+//   { id, at, runId, jobId, source, documentId, commentId, userId, caller,
+//     tool, args, status, error, durationMs }
+// source 为 comment 时由 documentId / commentId / userId 表示触发者，为 api 时由 caller 表示调用方。
+// status: success | error | denied
+
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || './data/audit.jsonl';
+
+class AuditLog {
+  constructor(filePath = AUDIT_LOG_PATH) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // 上次写入中断留下的半行单独成行，避免和新记录连在一起
+    if (fs.existsSync(filePath)) {
+      const { size } = fs.statSync(filePath);
+      if (size > 0) {
+        const fd = fs.openSync(filePath, 'r');
+        const last = Buffer.alloc(1);
+        fs.readSync(fd, last, 0, 1, size - 1);
+        fs.closeSync(fd);
+        if (last.toString() !== '\n') {
+          fs.appendFileSync(filePath, '\n');
+        }
+      }
+    }
+  }
+
+  // 同步追加，保证进程退出前已经写入的记录不会丢失
+  append(entry) {
+    const record = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      ...entry
+    };
+    fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    return record;
+  }
+
+  // 按时间顺序逐条读取符合条件的记录
+  async *read(filter = {}) {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.filePath, 'utf8'),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // 写入中断留下的半行，跳过
+        continue;
+      }
+      if (matchesFilter(record, filter)) {
+        yield record;
+      }
+    }
+  }
+
+  // 查询记录，按时间倒序分页，返回 { records, total }
+  // 逐行读取文件，只保留最新的 offset + limit 条匹配记录，内存占用与文件大小无关
+  async query(filter = {}, { limit = 100, offset = 0 } = {}) {
+    const keep = offset + limit;
+    // 环形缓冲区，第 n 条匹配记录写入 n % keep 的位置
+    const ring = new Array(keep);
+    let total = 0;
+    for await (const record of this.read(filter)) {
+      if (keep > 0) {
+        ring[total % keep] = record;
+      }
+      total++;
+    }
+
+    const records = [];
+    for (let index = total - 1 - offset; index >= Math.max(total - keep, 0); index--) {
+      records.push(ring[index % keep]);
+    }
+    return { records, total };
+  }
+}
+
+// filter: { from, to, runId, jobId, source, documentId, commentId, userId, caller, tool, status }
+// from / to 为ISO时间（包含），tool 支持 * 通配符
+function matchesFilter(record, { from, to, tool, ...fields } = {}) {
+  if ((from && record.at < from) || (to && record.at > to)) {
+    return false;
+  }
+  if (tool && !matchesPattern(record.tool, tool)) {
+    return false;
+  }
+  return Object.entries(fields).every(([key, value]) => !value || record[key] === value);
+}
+
+module.exports = {
+  AuditLog
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+// 接口认证、监控链接签名与重定向白名单
+//
+// API_KEYS 配置后，/api 接口需要携带 Authorization: Bearer <key> 或 X-API-Key: <key>。
+// 未配置时只接受来自本机（loopback）的请求，除非 ALLOW_UNAUTHENTICATED_API=true 明确允许任意来源访问。
+// LINK_SIGNING_SECRET 配置后，GET /?url= 需要携带有效的 expires 和 sig 参数（未配置时与 /api 接口使用相同的认证）：
+//   sig = HMAC-SHA256(secret, `${expires}\n${url}`)，expires 为过期时间（Unix秒）
+//   url 为 * 的签名对任意文档链接有效，用于书签工具
+// 重定向目标只允许 REDIRECT_ALLOWED_DOMAINS 中的域名及其子域名。
+
+const API_KEYS = (process.env.API_KEYS || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+
+const ALLOW_UNAUTHENTICATED_API = process.env.ALLOW_UNAUTHENTICATED_API === 'true';
+
+const LINK_SIGNING_SECRET = process.env.LINK_SIGNING_SECRET || '';
+
+const REDIRECT_ALLOWED_DOMAINS = (process.env.REDIRECT_ALLOWED_DOMAINS || 'feishu.cn,feishu.net,larksuite.com,larkoffice.com')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+// 任意文档链接
+const ANY_URL = '*';
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function isApiAuthEnabled() {
+  return API_KEYS.length > 0;
+}
+
+// 未配置API密钥时是否允许非本机的请求
+function isUnauthenticatedApiAllowed() {
+  return ALLOW_UNAUTHENTICATED_API;
+}
+
+// 请求是否直接来自本机（不信任X-Forwarded-For，反向代理转发的请求按代理地址判断）
+function isLoopbackRequest(req) {
+  const address = req.socket?.remoteAddress || '';
+  return address === '::1' || address.startsWith('127.') || address.startsWith('::ffff:127.');
+}
+
+function isLinkSigningEnabled() {
+  return Boolean(LINK_SIGNING_SECRET);
+}
+
+function getRequestApiKey(req) {
+  const authorization = req.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : req.get('x-api-key') || null;
+}
+
+// API密钥的指纹，用于在日志中区分调用方而不暴露密钥本身
+function getKeyFingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+// 请求的调用方标识：使用API密钥时为密钥指纹，未启用认证时为客户端IP
+function getApiCaller(req) {
+  return req.apiKeyId ? `key:${req.apiKeyId}` : `ip:${req.ip}`;
+}
+
+// Express中间件：校验API密钥；未配置密钥时只放行本机请求（或 ALLOW_UNAUTHENTICATED_API=true 时全部放行）
+function requireApiKey(req, res, next) {
+  if (!isApiAuthEnabled()) {
+    if (ALLOW_UNAUTHENTICATED_API || isLoopbackRequest(req)) {
+      return next();
+    }
+    return res.status(403).json({
+      error: '未配置API_KEYS，接口只允许本机访问',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const key = getRequestApiKey(req);
+  if (key && API_KEYS.some(item => safeEqual(item, key))) {
+    req.apiKeyId = getKeyFingerprint(key);
+    return next();
+  }
+
+  res.set('WWW-Authenticate', 'Bearer');
+  res.status(401).json({
+    error: '未认证或API密钥无效',
+    timestamp: new Date().toISOString()
+  });
+}
+
+function computeSignature(url, expires) {
+  return crypto
+    .createHmac('sha256', LINK_SIGNING_SECRET)
+    .update(`${expires}\n${url}`)
+    .digest('hex');
+}
+
+// 为文档链接（或 * 表示任意文档）生成签名，返回 { expires, sig }
+function signMonitorLink(url = ANY_URL, ttlSeconds = 3600) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return { expires, sig: computeSignature(url, expires) };
+}
+
+// 校验监控链接签名，返回 { valid, reason }
+function verifyMonitorLink(url, expires, sig) {
+  if (!isLinkSigningEnabled()) {
+    return { valid: true, reason: 'disabled' };
+  }
+  if (!expires || !sig) {
+    return { valid: false, reason: '缺少签名参数' };
+  }
+  if (!/^\d+$/.test(String(expires)) || parseInt(expires) < Date.now() / 1000) {
+    return { valid: false, reason: '链接已过期' };
+  }
+  if (safeEqual(computeSignature(url, expires), sig) || safeEqual(computeSignature(ANY_URL, expires), sig)) {
+    return { valid: true, reason: 'signed' };
+  }
+  return { valid: false, reason: '签名无效' };
+}
+
+// 重定向目标是否为允许的飞书/Lark域名（仅限https）
+function isAllowedRedirect(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    const host = hostname.toLowerCase();
+    return protocol === 'https:' &&
+      REDIRECT_ALLOWED_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  isApiAuthEnabled,
+  isUnauthenticatedApiAllowed,
+  isLinkSigningEnabled,
+  requireApiKey,
+  getApiCaller,
+  signMonitorLink,
+  verifyMonitorLink,
+  isAllowedRedirect
+};
@@ -0,0 +1,124 @@
+const { findTool, getToolData, parseList } = require('./tools');
+
+// 评论者授权：只执行允许的飞书用户下达的指令
+//
+// 授权策略字段：
+//   users        允许的用户ID（与评论中的user_id一致，默认为open_id）
+//   departments  允许的部门ID，用户属于其中任一部门即允许（通过MCP查询用户信息）
+//   chats        允许的群聊ID，用户是其中任一群成员即允许（通过MCP查询群成员）
+//   action       未授权时的处理方式：ignore 忽略，refuse 回复拒绝说明
+//   message      refuse 时回复的内容
+// 全局允许列表（环境变量）与每个监控的允许列表取并集；都为空时不限制评论者。
+
+const USER_TOOL = process.env.AUTH_USER_TOOL || 'contact_user_get';
+const CHAT_MEMBERS_TOOL = process.env.AUTH_CHAT_MEMBERS_TOOL || 'im_chat_members_get';
+
+// 成员关系查询结果的缓存时间
+const MEMBERSHIP_TTL_MS = 10 * 60 * 1000;
+
+const membershipCache = new Map();
+
+// 环境变量中的全局允许列表
+function getGlobalAllowlist() {
+  return {
+    users: parseList(process.env.AUTH_ALLOWED_USERS),
+    departments: parseList(process.env.AUTH_ALLOWED_DEPARTMENTS),
+    chats: parseList(process.env.AUTH_ALLOWED_CHATS)
+  };
+}
+
+// 每个监控的默认授权策略
+function getDefaultAuthorizationPolicy() {
+  return {
+    users: [],
+    departments: [],
+    chats: [],
+    action: process.env.AUTH_UNAUTHORIZED_ACTION === 'refuse' ? 'refuse' : 'ignore',
+    message: process.env.AUTH_REFUSAL_MESSAGE || '抱歉，你没有权限让我执行这条指令，如有需要请联系文档负责人。'
+  };
+}
+
+async function cached(key, load) {
+  const entry = membershipCache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+  const value = await load();
+  membershipCache.set(key, { value, expiresAt: Date.now() + MEMBERSHIP_TTL_MS });
+  return value;
+}
+
+// 查询用户所属的部门ID
+function getUserDepartments(tools, userId) {
+  return cached(`user:${userId}`, async () => {
+    const result = await findTool(tools, USER_TOOL).invoke({
+      user_id: userId,
+      user_id_type: 'open_id',
+      department_id_type: 'open_department_id'
+    });
+    return getToolData(result, USER_TOOL).user?.department_ids || [];
+  });
+}
+
+// 查询群成员的用户ID
+function getChatMembers(tools, chatId) {
+  return cached(`chat:${chatId}`, async () => {
+    const tool = findTool(tools, CHAT_MEMBERS_TOOL);
+    const members = [];
+    let pageToken;
+    do {
+      const data = getToolData(await tool.invoke({
+        chat_id: chatId,
+        member_id_type: 'open_id',
+        page_size: 100,
+        ...(pageToken ? { page_token: pageToken } : {})
+      }), CHAT_MEMBERS_TOOL);
+      (data.items || []).forEach(item => members.push(item.member_id));
+      pageToken = data.has_more ? data.page_token : null;
+    } while (pageToken);
+    return members;
+  });
+}
+
+// 判断用户是否有权下达指令，返回 { allowed, reason }
+//   reason: open 未配置允许列表 | user | department | chat 命中的列表 | denied 未命中 | missing_user 无法识别评论者
+// 成员关系查询失败时按未授权处理，reason 为 lookup_failed，error 为失败原因
+async function authorizeCommenter(tools, userId, policy) {
+  const global = getGlobalAllowlist();
+  const users = [...global.users, ...(policy.users || [])];
+  const departments = [...global.departments, ...(policy.departments || [])];
+  const chats = [...global.chats, ...(policy.chats || [])];
+
+  if (users.length === 0 && departments.length === 0 && chats.length === 0) {
+    return { allowed: true, reason: 'open' };
+  }
+  if (!userId) {
+    return { allowed: false, reason: 'missing_user' };
+  }
+  if (users.includes(userId)) {
+    return { allowed: true, reason: 'user' };
+  }
+
+  try {
+    if (departments.length > 0) {
+      const userDepartments = await getUserDepartments(tools, userId);
+      if (userDepartments.some(id => departments.includes(id))) {
+        return { allowed: true, reason: 'department' };
+      }
+    }
+    for (const chatId of chats) {
+      if ((await getChatMembers(tools, chatId)).includes(userId)) {
+        return { allowed: true, reason: 'chat' };
+      }
+    }
+  } catch (error) {
+    return { allowed: false, reason: 'lookup_failed', error: error.message };
+  }
+
+  return { allowed: false, reason: 'denied' };
+}
+
+module.exports = {
+  getDefaultAuthorizationPolicy,
+  authorizeCommenter
+};
@@ -0,0 +1,97 @@
+const { MemorySaver } = require('@langchain/langgraph');
+
+// 基于持久化存储的LangGraph检查点保存器
+//
+// 复用MemorySaver的读写逻辑，每次写入后把对应线程的数据同步到存储的 checkpoints 集合，
+// 启动时再从存储中恢复。序列化后的字节以UTF-8字符串保存，MemorySaver读取时同样支持字符串。
+
+const decoder = new TextDecoder();
+
+function toText(value) {
+  return value instanceof Uint8Array ? decoder.decode(value) : value;
+}
+
+function parseWritesKey(key) {
+  const [threadId, checkpointNamespace, checkpointId] = JSON.parse(key);
+  return { threadId, checkpointNamespace, checkpointId };
+}
+
+class PersistentCheckpointSaver extends MemorySaver {
+  // maxCheckpoints: 每个线程（每个命名空间）保留的最新检查点数量，避免历史无限增长
+  constructor(store, { maxCheckpoints = 10 } = {}) {
+    super();
+    this.store = store;
+    this.maxCheckpoints = maxCheckpoints;
+    this._restore();
+  }
+
+  _restore() {
+    for (const [threadId, data] of this.store.entries('checkpoints')) {
+      this.storage[threadId] = data.checkpoints || {};
+      Object.assign(this.writes, data.writes || {});
+    }
+  }
+
+  _prune(threadId) {
+    for (const [checkpointNamespace, checkpoints] of Object.entries(this.storage[threadId] || {})) {
+      const staleIds = Object.keys(checkpoints)
+        .sort((a, b) => b.localeCompare(a))
+        .slice(this.maxCheckpoints);
+
+      for (const checkpointId of staleIds) {
+        delete checkpoints[checkpointId];
+        delete this.writes[JSON.stringify([threadId, checkpointNamespace, checkpointId])];
+      }
+    }
+  }
+
+  _persist(threadId) {
+    if (!this.storage[threadId]) {
+      this.store.delete('checkpoints', threadId);
+      return;
+    }
+
+    this._prune(threadId);
+
+    const checkpoints = {};
+    for (const [checkpointNamespace, items] of Object.entries(this.storage[threadId])) {
+      checkpoints[checkpointNamespace] = {};
+      for (const [checkpointId, [checkpoint, metadata, parentId]] of Object.entries(items)) {
+        checkpoints[checkpointNamespace][checkpointId] = [toText(checkpoint), toText(metadata), parentId];
+      }
+    }
+
+    const writes = {};
+    for (const [key, items] of Object.entries(this.writes)) {
+      if (parseWritesKey(key).threadId !== threadId) {
+        continue;
+      }
+      writes[key] = {};
+      for (const [innerKey, [taskId, channel, value]] of Object.entries(items)) {
+        writes[key][innerKey] = [taskId, channel, toText(value)];
+      }
+    }
+
+    this.store.set('checkpoints', threadId, { checkpoints, writes });
+  }
+
+  async put(config, checkpoint, metadata) {
+    const result = await super.put(config, checkpoint, metadata);
+    this._persist(config.configurable.thread_id);
+    return result;
+  }
+
+  async putWrites(config, writes, taskId) {
+    await super.putWrites(config, writes, taskId);
+    this._persist(config.configurable.thread_id);
+  }
+
+  async deleteThread(threadId) {
+    await super.deleteThread(threadId);
+    this.store.delete('checkpoints', threadId);
+  }
+}
+
+module.exports = {
+  PersistentCheckpointSaver
+};
@@ -0,0 +1,46 @@
+const { findTool, parseToolResult } = require('./tools');
+
+// 通过MCP评论工具在评论线程中回复和解决评论
+
+// 工具名称可通过环境变量覆盖，以适配不同版本的飞书MCP服务
+const COMMENT_REPLY_TOOL = process.env.COMMENT_REPLY_TOOL || 'drive_comment_reply_create';
+const COMMENT_SOLVE_TOOL = process.env.COMMENT_SOLVE_TOOL || 'drive_comment_patch';
+
+// 飞书评论回复的最大长度，超出部分截断
+const MAX_REPLY_LENGTH = 2000;
+
+// 在指定评论线程中追加一条纯文本回复，返回新回复的reply_id（若工具返回了的话）
+async function replyToComment(tools, { fileToken, fileType, commentId, text }) {
+  const content = text.length > MAX_REPLY_LENGTH
+    ? `${text.slice(0, MAX_REPLY_LENGTH - 1)}…`
+    : text;
+
+  const result = parseToolResult(await findTool(tools, COMMENT_REPLY_TOOL, '评论工具').invoke({
+    file_token: fileToken,
+    file_type: fileType,
+    comment_id: commentId,
+    content: {
+      elements: [{ type: 'text_run', text_run: { text: content } }]
+    }
+  }));
+
+  return {
+    replyId: result?.reply_id || result?.data?.reply_id || null,
+    result
+  };
+}
+
+// 把评论线程标记为已解决
+async function resolveComment(tools, { fileToken, fileType, commentId }) {
+  return parseToolResult(await findTool(tools, COMMENT_SOLVE_TOOL, '评论工具').invoke({
+    file_token: fileToken,
+    file_type: fileType,
+    comment_id: commentId,
+    is_solved: true
+  }));
+}
+
+module.exports = {
+  replyToComment,
+  resolveComment
+};
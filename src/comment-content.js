@@ -0,0 +1,95 @@
+const { parseFeishuDocId } = require('./feishu-doc');
+
+// 评论富文本解析
+//
+// 评论回复的 content.elements 由多种元素组成：
+//   text_run   { text }       普通文本（可包含换行）
+//   person     { user_id }    @用户
+//   docs_link  { url }        飞书文档链接
+// 解析结果：
+//   { text, mentions: [{ userId }], docLinks: [{ url, type, fileType, token }], urls: [] }
+// text 中@用户写作 @user_id，文档链接保留原始URL。
+
+const URL_PATTERN = /https?:\/\/[^\s<>"'）)]+/g;
+
+function parseCommentContent(content) {
+  const elements = content?.elements || [];
+  const mentions = [];
+  const docLinks = [];
+  const urls = [];
+  let text = '';
+
+  for (const element of elements) {
+    if (element.text_run) {
+      text += element.text_run.text || '';
+    } else if (element.person) {
+      const userId = element.person.user_id;
+      if (userId && !mentions.some(item => item.userId === userId)) {
+        mentions.push({ userId });
+      }
+      text += `@${userId || '未知用户'}`;
+    } else if (element.docs_link) {
+      const url = element.docs_link.url || '';
+      text += url;
+      addUrl(url);
+    }
+  }
+
+  // 文本中直接粘贴的链接
+  for (const match of text.match(URL_PATTERN) || []) {
+    addUrl(match);
+  }
+
+  function addUrl(url) {
+    if (!url || urls.includes(url)) {
+      return;
+    }
+    urls.push(url);
+    const docInfo = parseFeishuDocId(url);
+    if (docInfo) {
+      docLinks.push({ url, type: docInfo.type, fileType: docInfo.fileType, token: docInfo.id });
+    }
+  }
+
+  return {
+    text: text.trim(),
+    mentions,
+    docLinks,
+    urls
+  };
+}
+
+// 解析回复内容，回复为空时返回空结果
+function parseReply(reply) {
+  return parseCommentContent(reply?.content);
+}
+
+// 把结构化信息整理成给Agent的补充说明，没有时返回空字符串
+function formatCommentContext(parsed) {
+  const lines = [];
+
+  if (parsed.docLinks.length > 0) {
+    lines.push('评论中引用的飞书文档：');
+    parsed.docLinks.forEach(link => {
+      lines.push(`- ${link.url}（类型:${link.fileType}，token:${link.token}）`);
+    });
+  }
+
+  const otherUrls = parsed.urls.filter(url => !parsed.docLinks.some(link => link.url === url));
+  if (otherUrls.length > 0) {
+    lines.push('评论中的其他链接：');
+    otherUrls.forEach(url => lines.push(`- ${url}`));
+  }
+
+  if (parsed.mentions.length > 0) {
+    lines.push(`评论中@的用户：${parsed.mentions.map(item => item.userId).join('、')}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseCommentContent,
+  parseReply,
+  formatCommentContext
+};
@@ -0,0 +1,141 @@
+const { parseReply } = require('./comment-content');
+
+// 评论列表获取、变化检测与格式整理
+
+// 单页获取的评论数量
+const PAGE_SIZE = 100;
+
+// 翻页获取文档的全部评论
+async function listAllComments(commentTool, { fileToken, fileType }) {
+  const comments = [];
+  let pageToken;
+
+  do {
+    const result = await commentTool.invoke({
+      file_token: fileToken,
+      file_type: fileType,
+      page_size: PAGE_SIZE,
+      ...(pageToken ? { page_token: pageToken } : {})
+    });
+
+    const parsed = typeof result === 'string' ? JSON.parse(result) : result;
+    if (parsed && parsed.code !== undefined && parsed.code !== 0) {
+      throw new Error(parsed.msg || `获取评论失败，错误码 ${parsed.code}`);
+    }
+
+    const data = parsed?.data || parsed || {};
+    comments.push(...(data.items || []));
+    pageToken = data.has_more ? data.page_token : null;
+  } while (pageToken);
+
+  return comments;
+}
+
+function getReplies(comment) {
+  return comment?.reply_list?.replies || [];
+}
+
+function replyChanged(before, after) {
+  return JSON.stringify(before.content) !== JSON.stringify(after.content) ||
+    (before.update_time !== undefined && before.update_time !== after.update_time);
+}
+
+// 对比前后两次获取的评论，返回按发生顺序排列的变化事件：
+//   reply_added      新增回复
+//   reply_edited     回复内容被修改
+//   reply_deleted    回复被删除（整条评论被删除时，其中每条回复都会产生该事件）
+//   thread_resolved  评论线程被标记为已解决
+//   thread_reopened  已解决的评论线程被重新打开
+// 每个事件包含 { type, commentId, comment }，回复相关事件另含 { replyId, reply }，
+// reply_edited 还包含修改前的 previousReply。
+function detectCommentChanges(previousComments, currentComments) {
+  const changes = [];
+  const previousMap = new Map(previousComments.map(comment => [comment.comment_id, comment]));
+  const currentMap = new Map(currentComments.map(comment => [comment.comment_id, comment]));
+
+  for (const comment of currentComments) {
+    const previous = previousMap.get(comment.comment_id);
+    const previousReplies = new Map(getReplies(previous).map(reply => [reply.reply_id, reply]));
+    const currentReplyIds = new Set(getReplies(comment).map(reply => reply.reply_id));
+
+    for (const reply of getReplies(comment)) {
+      const before = previousReplies.get(reply.reply_id);
+      if (!before) {
+        changes.push({ type: 'reply_added', commentId: comment.comment_id, replyId: reply.reply_id, comment, reply });
+      } else if (replyChanged(before, reply)) {
+        changes.push({
+          type: 'reply_edited',
+          commentId: comment.comment_id,
+          replyId: reply.reply_id,
+          comment,
+          reply,
+          previousReply: before
+        });
+      }
+    }
+
+    for (const [replyId, reply] of previousReplies) {
+      if (!currentReplyIds.has(replyId)) {
+        changes.push({ type: 'reply_deleted', commentId: comment.comment_id, replyId, comment, reply });
+      }
+    }
+
+    if (previous && Boolean(previous.is_solved) !== Boolean(comment.is_solved)) {
+      changes.push({
+        type: comment.is_solved ? 'thread_resolved' : 'thread_reopened',
+        commentId: comment.comment_id,
+        comment
+      });
+    }
+  }
+
+  for (const previous of previousComments) {
+    if (currentMap.has(previous.comment_id)) {
+      continue;
+    }
+    for (const reply of getReplies(previous)) {
+      changes.push({ type: 'reply_deleted', commentId: previous.comment_id, replyId: reply.reply_id, comment: previous, reply });
+    }
+  }
+
+  return changes;
+}
+
+// 飞书返回的时间为Unix秒（字符串或数字），转换为ISO时间
+function toIsoTime(value) {
+  const seconds = parseInt(value);
+  return Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// 把飞书评论整理成对外接口使用的格式
+function normalizeComment(documentId, comment) {
+  return {
+    documentId,
+    commentId: comment.comment_id,
+    isWhole: comment.is_whole !== false,
+    quote: comment.quote || null,
+    isSolved: Boolean(comment.is_solved),
+    solvedTime: toIsoTime(comment.solved_time),
+    createTime: toIsoTime(comment.create_time),
+    updateTime: toIsoTime(comment.update_time),
+    userId: comment.user_id || null,
+    replies: getReplies(comment).map(reply => {
+      const parsed = parseReply(reply);
+      return {
+        replyId: reply.reply_id,
+        userId: reply.user_id || null,
+        text: parsed.text,
+        mentions: parsed.mentions.map(item => item.userId),
+        links: parsed.urls,
+        createTime: toIsoTime(reply.create_time),
+        updateTime: toIsoTime(reply.update_time)
+      };
+    })
+  };
+}
+
+module.exports = {
+  listAllComments,
+  detectCommentChanges,
+  normalizeComment
+};
@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+
+// 服务内部事件总线
+//
+// 每个事件的格式：
+//   { id, type, timestamp, documentId, jobId, runId, data }
+// id 单调递增，用作SSE的事件ID；最近的事件保存在内存中，客户端断线重连时可以补发。
+// 事件类型按 `范围.动作` 命名，例如 monitor.started、comment.reply_added、job.failed、agent.tool_call。
+
+class EventBus extends EventEmitter {
+  constructor({ historySize = 500 } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.historySize = historySize;
+    this.history = [];
+    this.nextId = 1;
+  }
+
+  publish(type, { documentId = null, jobId = null, runId = null, ...data } = {}) {
+    const event = {
+      id: this.nextId++,
+      type,
+      timestamp: new Date().toISOString(),
+      documentId,
+      jobId,
+      runId,
+      data
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  // 订阅符合条件的事件，返回取消订阅的函数
+  // filter: { documentId, jobId, types }，types 中的项可以是完整类型或以 .* 结尾的前缀
+  subscribe(filter, listener) {
+    const handler = event => {
+      if (matchesFilter(event, filter)) {
+        listener(event);
+      }
+    };
+    this.on('event', handler);
+    return () => this.off('event', handler);
+  }
+
+  // 获取ID大于 afterId 且符合条件的历史事件
+  getHistory(filter, afterId = 0) {
+    return this.history.filter(event => event.id > afterId && matchesFilter(event, filter));
+  }
+}
+
+function matchesFilter(event, { documentId, jobId, types } = {}) {
+  if (documentId && event.documentId !== documentId) {
+    return false;
+  }
+  if (jobId && event.jobId !== jobId) {
+    return false;
+  }
+  if (types && types.length > 0) {
+    return types.some(type => type.endsWith('.*')
+      ? event.type.startsWith(type.slice(0, -1))
+      : event.type === type);
+  }
+  return true;
+}
+
+module.exports = {
+  EventBus
+};
@@ -0,0 +1,91 @@
+const { findTool, parseToolResult } = require('./tools');
+
+// 飞书文档链接解析与文档类型处理
+
+// 知识库节点解析工具，可通过环境变量覆盖
+const WIKI_NODE_TOOL = process.env.WIKI_NODE_TOOL || 'wiki_space_get_node';
+
+// 链接路径中的类型标识 -> 评论接口使用的 file_type
+const PATH_FILE_TYPES = {
+  docx: 'docx',
+  docs: 'doc',
+  doc: 'doc',
+  sheets: 'sheet',
+  sheet: 'sheet',
+  base: 'bitable',
+  bitable: 'bitable',
+  file: 'file',
+  slides: 'slides',
+  mindnotes: 'mindnote',
+  mindnote: 'mindnote',
+  wiki: 'wiki'
+};
+
+// 各类型的中文名称，用于提示Agent正在编辑的文档类型
+const FILE_TYPE_LABELS = {
+  docx: '新版文档',
+  doc: '旧版文档',
+  sheet: '电子表格',
+  bitable: '多维表格',
+  file: '云空间文件',
+  slides: '幻灯片',
+  mindnote: '思维笔记',
+  wiki: '知识库页面'
+};
+
+// 解析飞书文档URL，提取文档ID和类型
+// 支持任意租户域名（*.feishu.cn、*.larksuite.com 及自定义域名），以及带查询参数的链接，例如：
+//   https://bytedance.feishu.cn/docx/doxcnxxxxxxxxxxxxxx
+//   https://bytedance.feishu.cn/docs/doccnxxxxxxxxxxxxxx
+//   https://bytedance.feishu.cn/wiki/wikcnxxxxxxxxxxxxxx?from=from_copylink
+//   https://bytedance.feishu.cn/sheets/shtcnxxxxxxxxxxxxx?sheet=0b6f3a
+//   https://bytedance.feishu.cn/base/bascnxxxxxxxxxxxxxx?table=tblxxx&view=vewxxx
+//   https://bytedance.feishu.cn/file/boxcnxxxxxxxxxxxxxx
+function parseFeishuDocId(url) {
+  try {
+    const urlObj = new URL(url);
+    const pathname = urlObj.pathname;
+
+    const pattern = new RegExp(`/(${Object.keys(PATH_FILE_TYPES).join('|')})/([a-zA-Z0-9]+)`);
+    const docIdMatch = pathname.match(pattern);
+    if (docIdMatch) {
+      return {
+        type: docIdMatch[1],
+        fileType: PATH_FILE_TYPES[docIdMatch[1]],
+        id: docIdMatch[2],
+        fullId: docIdMatch[2]
+      };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('URL解析错误:', error.message);
+    return null;
+  }
+}
+
+// 把知识库节点token解析为实际文档的token和类型
+async function resolveWikiNode(tools, nodeToken) {
+  const result = await findTool(tools, WIKI_NODE_TOOL, '知识库节点工具').invoke({ token: nodeToken, obj_type: 'wiki' });
+  const parsed = parseToolResult(result);
+  const node = parsed?.data?.node || parsed?.node;
+  if (!node?.obj_token) {
+    throw new Error(parsed?.msg || `无法解析知识库节点 ${nodeToken}`);
+  }
+
+  return {
+    objToken: node.obj_token,
+    fileType: node.obj_type,
+    title: node.title || null
+  };
+}
+
+function describeFileType(fileType) {
+  return FILE_TYPE_LABELS[fileType] || fileType;
+}
+
+module.exports = {
+  parseFeishuDocId,
+  resolveWikiNode,
+  describeFileType
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// 飞书事件订阅协议相关处理：签名校验、AES解密、事件格式归一化与去重
+
+// 事件ID保留时长，飞书在推送失败时会在数小时内重试
+const EVENT_ID_TTL = 12 * 60 * 60 * 1000;
+
+// 签名时间戳与当前时间允许的最大偏差，超出视为重放
+const SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+
+// 校验请求签名：sha256(timestamp + nonce + encryptKey + body)
+// 只有配置了Encrypt Key时飞书才会携带签名头
+function verifySignature(headers, rawBody, encryptKey) {
+  const timestamp = headers['x-lark-request-timestamp'];
+  const nonce = headers['x-lark-request-nonce'];
+  const signature = headers['x-lark-signature'];
+
+  if (!timestamp || !nonce || !signature) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHash('sha256')
+    .update(timestamp + nonce + encryptKey + (rawBody || ''))
+    .digest('hex');
+
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+// 签名时间戳（Unix秒）是否在允许的时间范围内
+function isFreshTimestamp(timestamp, now = Date.now()) {
+  if (!/^\d+$/.test(String(timestamp || ''))) {
+    return false;
+  }
+  return Math.abs(now / 1000 - parseInt(timestamp)) <= SIGNATURE_MAX_AGE_SECONDS;
+}
+
+// 解密加密推送：key为Encrypt Key的sha256，密文前16字节为IV，AES-256-CBC
+function decryptEvent(encrypt, encryptKey) {
+  const key = crypto.createHash('sha256').update(encryptKey).digest();
+  const buffer = Buffer.from(encrypt, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, buffer.subarray(0, 16));
+  const plaintext = Buffer.concat([decipher.update(buffer.subarray(16)), decipher.final()]).toString('utf8');
+  return JSON.parse(plaintext);
+}
+
+// 把1.0和2.0两种事件格式统一为 { type, eventId, eventType, token, challenge, event }
+function normalizeEvent(payload) {
+  if (payload.type === 'url_verification') {
+    return {
+      type: 'url_verification',
+      token: payload.token,
+      challenge: payload.challenge
+    };
+  }
+
+  if (payload.schema === '2.0') {
+    return {
+      type: 'event_callback',
+      eventId: payload.header?.event_id,
+      eventType: payload.header?.event_type,
+      token: payload.header?.token,
+      event: payload.event || {}
+    };
+  }
+
+  return {
+    type: payload.type,
+    eventId: payload.uuid,
+    eventType: payload.event?.type,
+    token: payload.token,
+    event: payload.event || {}
+  };
+}
+
+// 检查事件是否已处理过，未处理时记录事件ID；同时清理过期的事件ID
+function isDuplicateEvent(storage, eventId) {
+  if (!eventId) {
+    return false;
+  }
+
+  const now = Date.now();
+  storage.entries('webhookEvents').forEach(([id, receivedAt]) => {
+    if (now - receivedAt > EVENT_ID_TTL) {
+      storage.delete('webhookEvents', id);
+    }
+  });
+
+  if (storage.get('webhookEvents', eventId) !== undefined) {
+    return true;
+  }
+
+  storage.set('webhookEvents', eventId, now);
+  return false;
+}
+
+// 从评论事件中提取文档token
+function getCommentEventFileToken(event) {
+  return event.notice_meta?.file_token || event.file_token || null;
+}
+
+module.exports = {
+  verifySignature,
+  isFreshTimestamp,
+  decryptEvent,
+  normalizeEvent,
+  isDuplicateEvent,
+  getCommentEventFileToken
+};
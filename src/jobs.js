@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Agent任务队列
+//
+// 每条触发Agent的评论都会成为一个任务，保存在存储的 jobs 集合中：
+//   { id, type, documentId, commentId, replyId, payload, status, attempts, maxAttempts,
+//     createdAt, startedAt, finishedAt, error, finalMessage, runIds, toolCalls, tokenUsage }
+// 状态：queued -> running -> succeeded | failed | cancelled，失败且未超过重试次数时重新排队。
+// 服务重启时，重启前执行中的任务可能已经修改了文档，标记为失败而不自动重新执行。
+// 同一文档的任务按顺序执行，不同文档的任务最多并行 concurrency 个。
+// 任务状态每次变化都会发出 status 事件，参数为变化后的任务。
+
+const FINISHED_STATUSES = new Set(['succeeded', 'failed', 'cancelled']);
+
+class JobQueue extends EventEmitter {
+  // handler(job, { signal, isLastAttempt }) 执行任务，返回
+  //   { success, error, finalMessage, runId, toolCalls, tokenUsage }
+  constructor(storage, { handler, concurrency = 1, maxRetries = 1, retryDelay = 5000 }) {
+    super();
+    this.storage = storage;
+    this.handler = handler;
+    this.concurrency = concurrency;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.pending = [];
+    this.running = new Map();
+    this.retryTimers = new Map();
+  }
+
+  enqueue(type, { documentId = null, commentId = null, replyId = null, ...payload } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      documentId,
+      commentId,
+      replyId,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.maxRetries + 1,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      finalMessage: null,
+      runIds: [],
+      toolCalls: [],
+      tokenUsage: { input: 0, output: 0, total: 0 }
+    };
+    this.storage.set('jobs', job.id, job);
+    this.emit('status', job);
+    this.pending.push(job.id);
+    this._drain();
+    return job;
+  }
+
+  get(id) {
+    return this.storage.get('jobs', id) || null;
+  }
+
+  list({ status, documentId, limit = 50 } = {}) {
+    return this.storage.entries('jobs')
+      .map(([, job]) => job)
+      .filter(job => !status || job.status === status)
+      .filter(job => !documentId || job.documentId === documentId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  _update(id, changes) {
+    const job = this.storage.get('jobs', id);
+    if (!job) {
+      return null;
+    }
+    const updated = this.storage.set('jobs', id, { ...job, ...changes });
+    if (changes.status && changes.status !== job.status) {
+      this.emit('status', updated);
+    }
+    return updated;
+  }
+
+  // 删除结束时间早于 before（ISO时间）的任务，返回删除的数量
+  prune(before) {
+    let count = 0;
+    this.storage.entries('jobs').forEach(([id, job]) => {
+      if (FINISHED_STATUSES.has(job.status) && !this.running.has(id) && job.finishedAt && job.finishedAt < before) {
+        this.storage.delete('jobs', id);
+        count++;
+      }
+    });
+    return count;
+  }
+
+  // 重新执行已结束的任务；刚被取消但处理函数还没返回的任务不能重试
+  retry(id) {
+    const job = this.get(id);
+    if (!job || !FINISHED_STATUSES.has(job.status) || this.running.has(id)) {
+      return null;
+    }
+    const updated = this._update(id, {
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      finishedAt: null
+    });
+    this.pending.push(id);
+    this._drain();
+    return updated;
+  }
+
+  // 取消排队中或执行中的任务，执行中的任务通过AbortSignal中止
+  cancel(id) {
+    const job = this.get(id);
+    if (!job || FINISHED_STATUSES.has(job.status)) {
+      return null;
+    }
+
+    this.pending = this.pending.filter(jobId => jobId !== id);
+    if (this.retryTimers.has(id)) {
+      clearTimeout(this.retryTimers.get(id));
+      this.retryTimers.delete(id);
+    }
+    if (this.running.has(id)) {
+      this.running.get(id).controller.abort();
+    }
+
+    return this._update(id, {
+      status: 'cancelled',
+      finishedAt: new Date().toISOString()
+    });
+  }
+
+  // 服务启动时恢复排队中的任务，返回重新排队的任务数；
+  // 重启前执行中的任务标记为失败，确认文档状态后可以手动重试
+  resume() {
+    const unfinished = this.storage.entries('jobs')
+      .map(([, job]) => job)
+      .filter(job => job.status === 'queued' || job.status === 'running')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const queued = unfinished.filter(job => job.status === 'queued');
+    unfinished
+      .filter(job => job.status === 'running')
+      .forEach(job => {
+        console.warn(`⚠️ 任务 ${job.id} 在服务重启时中断，可能已部分修改文档，不再自动重试`);
+        this._update(job.id, {
+          status: 'failed',
+          error: '服务重启时任务中断，可能已部分执行，未自动重试',
+          finishedAt: new Date().toISOString()
+        });
+      });
+
+    queued.forEach(job => this.pending.push(job.id));
+    this._drain();
+    return queued.length;
+  }
+
+  // 停止调度（进程退出时调用），执行中的任务保持 running 状态，下次启动时标记为中断
+  stop() {
+    this.stopped = true;
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+
+  _drain() {
+    if (this.stopped) {
+      return;
+    }
+
+    const busyDocuments = new Set(Array.from(this.running.values()).map(item => item.documentId));
+
+    for (let i = 0; i < this.pending.length && this.running.size < this.concurrency;) {
+      const job = this.get(this.pending[i]);
+      if (!job || job.status !== 'queued') {
+        this.pending.splice(i, 1);
+        continue;
+      }
+      if (job.documentId && busyDocuments.has(job.documentId)) {
+        i++;
+        continue;
+      }
+
+      this.pending.splice(i, 1);
+      busyDocuments.add(job.documentId);
+      this._run(job);
+    }
+  }
+
+  async _run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, { controller, documentId: job.documentId });
+
+    const attempts = job.attempts + 1;
+    const started = this._update(job.id, {
+      status: 'running',
+      attempts,
+      startedAt: new Date().toISOString()
+    });
+
+    let result;
+    try {
+      result = await this.handler(started, {
+        signal: controller.signal,
+        isLastAttempt: attempts >= job.maxAttempts
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    this.running.delete(job.id);
+    this._complete(job.id, result || { success: false, error: '任务没有返回结果' });
+    this._drain();
+  }
+
+  _complete(id, result) {
+    const job = this.get(id);
+    if (!job) {
+      return;
+    }
+
+    const changes = {
+      error: result.error || null,
+      finalMessage: result.finalMessage ?? job.finalMessage,
+      runIds: result.runId ? [...job.runIds, result.runId] : job.runIds,
+      toolCalls: [...job.toolCalls, ...(result.toolCalls || [])],
+      tokenUsage: {
+        input: job.tokenUsage.input + (result.tokenUsage?.input || 0),
+        output: job.tokenUsage.output + (result.tokenUsage?.output || 0),
+        total: job.tokenUsage.total + (result.tokenUsage?.total || 0)
+      }
+    };
+
+    // 已被取消的任务只记录结果，不再改变状态
+    if (job.status === 'cancelled') {
+      this._update(id, changes);
+      return;
+    }
+
+    if (result.success) {
+      this._update(id, { ...changes, status: 'succeeded', finishedAt: new Date().toISOString() });
+      return;
+    }
+
+    if (job.attempts < job.maxAttempts && !this.stopped) {
+      const delay = this.retryDelay * job.attempts;
+      this._update(id, { ...changes, status: 'queued' });
+      console.log(`🔁 任务 ${id} 执行失败，${delay / 1000} 秒后重试 (${job.attempts}/${job.maxAttempts})`);
+      this.retryTimers.set(id, setTimeout(() => {
+        this.retryTimers.delete(id);
+        this.pending.push(id);
+        this._drain();
+      }, delay));
+      return;
+    }
+
+    this._update(id, { ...changes, status: 'failed', finishedAt: new Date().toISOString() });
+  }
+}
+
+module.exports = {
+  JobQueue
+};
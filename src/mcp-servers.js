@@ -0,0 +1,290 @@
+const fs = require('fs');
+const { MultiServerMCPClient } = require('@langchain/mcp-adapters');
+const { OAuthClientProvider } = require('mcp-remote-oauth-client-provider');
+const { wrapTools } = require('./tool-hooks');
+
+// 多个MCP服务器的配置与连接
+//
+// 配置文件（MCP_SERVERS_CONFIG，默认 ./mcp-servers.json）格式：
+//   {
+//     "servers": {
+//       "feishu": { "url": "https://.../mcp", "auth": { "type": "oauth", "callbackPort": 12334 } },
+//       "kb":     { "transport": "http", "url": "https://kb.internal/mcp",
+//                   "auth": { "type": "bearer", "tokenEnv": "KB_MCP_TOKEN" }, "toolPrefix": "kb" },
+//       "files":  { "transport": "stdio", "command": "npx",
+//                   "args": ["-y", "@modelcontextprotocol/server-filesystem", "./docs"], "toolPrefix": "fs" }
+//     }
+//   }
+// transport: http | sse | stdio，远程服务器不指定时先尝试http再回退到sse
+// auth: oauth（自动完成OAuth授权）| bearer（从 tokenEnv 读取令牌）| none
+// toolPrefix: 工具名前缀，工具名变为 `${toolPrefix}__${原名}`；飞书服务器不要设置，服务内部按原名查找飞书工具
+// enabled: 为false时跳过该服务器
+// 没有配置文件时，使用 MCP_SERVER_URL 和 MCP_CALLBACK_PORT 生成单个 feishu 服务器。
+// 每个服务器使用独立的客户端连接，一个服务器连接失败不影响其他服务器。
+//
+// 连接失败或工具调用暴露出会话已断开时，按指数退避自动重连：
+//   第n次重试等待 min(MCP_RECONNECT_BASE_MS * 2^(n-1), MCP_RECONNECT_MAX_MS)
+//   MCP_RECONNECT_MAX_ATTEMPTS 为0时不限次数
+// 重连成功后调用 onToolsChanged，由上层重建Agent。
+
+const MCP_SERVERS_CONFIG = process.env.MCP_SERVERS_CONFIG || './mcp-servers.json';
+
+const RECONNECT_BASE_MS = parseInt(process.env.MCP_RECONNECT_BASE_MS || '1000');
+const RECONNECT_MAX_MS = parseInt(process.env.MCP_RECONNECT_MAX_MS || '60000');
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.MCP_RECONNECT_MAX_ATTEMPTS || '0');
+
+// 表示连接或会话已失效的错误（而不是工具本身的业务错误）
+const BROKEN_SESSION_PATTERN = /session|not connected|connection closed|closed connection|socket hang up|fetch failed|ECONNRESET|ECONNREFUSED|EPIPE|ETIMEDOUT|terminated|SSE error/i;
+
+function isBrokenSessionError(error) {
+  return BROKEN_SESSION_PATTERN.test(`${error?.message || ''} ${error?.cause?.code || ''}`);
+}
+
+function loadMcpServersConfig(path = MCP_SERVERS_CONFIG) {
+  if (fs.existsSync(path)) {
+    const config = JSON.parse(fs.readFileSync(path, 'utf8'));
+    return Object.fromEntries(
+      Object.entries(config.servers || {}).filter(([, server]) => server.enabled !== false)
+    );
+  }
+
+  return {
+    feishu: {
+      url: process.env.MCP_SERVER_URL || 'https://fms.666444.best/sse',
+      auth: { type: 'oauth', callbackPort: parseInt(process.env.MCP_CALLBACK_PORT || '12334') }
+    }
+  };
+}
+
+// 把一个服务器配置转换为MultiServerMCPClient的连接配置，返回 { connection, authProvider }
+function buildConnection(name, server) {
+  if (server.transport === 'stdio') {
+    return {
+      connection: {
+        transport: 'stdio',
+        command: server.command,
+        args: server.args || [],
+        ...(server.env ? { env: server.env } : {})
+      },
+      authProvider: null
+    };
+  }
+
+  if (!server.url) {
+    throw new Error(`MCP服务器 ${name} 缺少url`);
+  }
+
+  const auth = server.auth || { type: 'none' };
+  const headers = { ...(server.headers || {}) };
+  let authProvider = null;
+
+  if (auth.type === 'oauth') {
+    authProvider = OAuthClientProvider.createWithAutoAuth({
+      serverUrl: server.url,
+      callbackPort: auth.callbackPort || parseInt(process.env.MCP_CALLBACK_PORT || '12334'),
+      host: 'localhost',
+      clientName: 'Feishu Comment Monitor'
+    });
+  } else if (auth.type === 'bearer') {
+    const token = process.env[auth.tokenEnv];
+    if (!token) {
+      throw new Error(`MCP服务器 ${name} 的令牌环境变量 ${auth.tokenEnv} 未设置`);
+    }
+    headers.Authorization = `Bearer ${token}`;
+  } else if (auth.type !== 'none') {
+    throw new Error(`MCP服务器 ${name} 使用了不支持的认证方式: ${auth.type}`);
+  }
+
+  return {
+    connection: {
+      url: server.url,
+      ...(server.transport ? { transport: server.transport } : {}),
+      ...(Object.keys(headers).length > 0 ? { headers } : {}),
+      ...(authProvider ? { authProvider } : {})
+    },
+    authProvider
+  };
+}
+
+// 管理所有MCP服务器的连接，对外提供合并后的工具列表
+class McpServerPool {
+  constructor(servers, { onToolsChanged = null } = {}) {
+    this.onToolsChanged = onToolsChanged;
+    this.closed = false;
+    this.servers = new Map(Object.entries(servers).map(([name, config]) => [name, {
+      name,
+      config,
+      client: null,
+      authProvider: null,
+      tools: [],
+      connected: false,
+      connecting: false,
+      connectedAt: null,
+      error: null,
+      lastErrorAt: null,
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+      nextRetryAt: null
+    }]));
+  }
+
+  // 连接所有服务器，返回连接成功的服务器数量；失败的服务器在后台重试
+  async connect() {
+    for (const name of this.servers.keys()) {
+      if (!(await this.connectServer(name))) {
+        this._scheduleReconnect(this.servers.get(name));
+      }
+    }
+    return this.connectedCount();
+  }
+
+  connectedCount() {
+    return [...this.servers.values()].filter(server => server.connected).length;
+  }
+
+  async connectServer(name) {
+    const server = this.servers.get(name);
+    server.connecting = true;
+    await this._closeServer(server);
+
+    try {
+      const { connection, authProvider } = buildConnection(name, server.config);
+      server.authProvider = authProvider;
+      server.client = new MultiServerMCPClient({
+        mcpServers: { [name]: connection },
+        additionalToolNamePrefix: server.config.toolPrefix || '',
+        useStandardContentBlocks: true
+      });
+      // 所有调用（包括Agent之外的内部调用）出错时都检查会话是否断开
+      server.tools = wrapTools(await server.client.getTools(), [{
+        error: (context, error) => this._handleToolError(server, error)
+      }]);
+      server.connected = true;
+      server.connectedAt = new Date().toISOString();
+      server.error = null;
+      server.reconnectAttempts = 0;
+      server.nextRetryAt = null;
+      console.log(`🔌 MCP服务器 ${name} 已连接，工具数量: ${server.tools.length}`);
+    } catch (error) {
+      server.connected = false;
+      server.tools = [];
+      this._recordError(server, error);
+      console.error(`MCP服务器 ${name} 连接失败:`, error.message);
+    } finally {
+      server.connecting = false;
+    }
+    return server.connected;
+  }
+
+  // 所有已连接服务器的工具
+  async getTools() {
+    return [...this.servers.values()].flatMap(server => server.tools);
+  }
+
+  // 每个服务器的实际地址、连接状态和重连情况
+  status() {
+    return [...this.servers.values()].map(server => ({
+      name: server.name,
+      transport: server.config.transport || (server.config.url ? 'auto' : 'stdio'),
+      url: server.config.url || null,
+      command: server.config.command || null,
+      auth: server.config.auth?.type || 'none',
+      toolPrefix: server.config.toolPrefix || null,
+      connected: server.connected,
+      connecting: server.connecting,
+      connectedAt: server.connectedAt,
+      toolCount: server.tools.length,
+      error: server.error,
+      lastErrorAt: server.lastErrorAt,
+      reconnectAttempts: server.reconnectAttempts,
+      nextRetryAt: server.nextRetryAt
+    }));
+  }
+
+  _recordError(server, error) {
+    server.error = error.message;
+    server.lastErrorAt = new Date().toISOString();
+  }
+
+  _handleToolError(server, error) {
+    if (this.closed || !server.connected || !isBrokenSessionError(error)) {
+      return;
+    }
+    console.warn(`⚠️ MCP服务器 ${server.name} 会话已断开: ${error.message}`);
+    server.connected = false;
+    this._recordError(server, error);
+    this._scheduleReconnect(server);
+  }
+
+  _scheduleReconnect(server) {
+    if (this.closed || server.reconnectTimer || server.connecting) {
+      return;
+    }
+    if (RECONNECT_MAX_ATTEMPTS > 0 && server.reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) {
+      console.error(`MCP服务器 ${server.name} 已重连 ${server.reconnectAttempts} 次仍失败，停止重连`);
+      server.nextRetryAt = null;
+      return;
+    }
+
+    server.reconnectAttempts += 1;
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** (server.reconnectAttempts - 1), RECONNECT_MAX_MS);
+    server.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    console.log(`⏳ ${Math.ceil(delay / 1000)}秒后第 ${server.reconnectAttempts} 次重连MCP服务器 ${server.name}`);
+
+    server.reconnectTimer = setTimeout(async () => {
+      server.reconnectTimer = null;
+      server.nextRetryAt = null;
+      const attempts = server.reconnectAttempts;
+      if (await this.connectServer(server.name)) {
+        console.log(`✅ MCP服务器 ${server.name} 重连成功（第 ${attempts} 次）`);
+        if (this.onToolsChanged) {
+          try {
+            await this.onToolsChanged(server.name);
+          } catch (error) {
+            console.error('MCP工具变化后重建失败:', error.message);
+          }
+        }
+      } else {
+        this._scheduleReconnect(server);
+      }
+    }, delay);
+  }
+
+  async _closeServer(server) {
+    if (server.client) {
+      try {
+        await server.client.close();
+      } catch (error) {
+        console.error(`关闭MCP服务器 ${server.name} 连接失败:`, error.message);
+      }
+    }
+    if (server.authProvider) {
+      try {
+        await server.authProvider.cleanup();
+      } catch (error) {
+        console.error(`清理MCP服务器 ${server.name} 的OAuth资源失败:`, error.message);
+      }
+    }
+    server.client = null;
+    server.authProvider = null;
+    server.connected = false;
+    server.tools = [];
+  }
+
+  async close() {
+    this.closed = true;
+    for (const server of this.servers.values()) {
+      if (server.reconnectTimer) {
+        clearTimeout(server.reconnectTimer);
+        server.reconnectTimer = null;
+      }
+      await this._closeServer(server);
+    }
+  }
+}
+
+module.exports = {
+  loadMcpServersConfig,
+  isBrokenSessionError,
+  McpServerPool
+};
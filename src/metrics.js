@@ -0,0 +1,136 @@
+const client = require('prom-client');
+
+// Prometheus指标，通过 GET /metrics 暴露
+//
+// 指标名统一使用 feishu_monitor_ 前缀：
+//   active_monitors                  正在监控的文档数
+//   polls_total / poll_errors_total  每个文档的评论拉取次数和失败次数
+//   poll_duration_seconds            每个文档的评论拉取耗时
+//   comments_detected_total          每个文档检测到的新增评论（回复）数
+//   agent_runs_total                 Agent执行次数，按来源、模式和结果（succeeded/failed/cancelled）
+//   agent_run_duration_seconds       Agent执行耗时
+//   tool_calls_total                 工具调用次数，按工具名和结果（success/error/denied）
+//   llm_tokens_total                 token用量，按实际使用的模型和类型（input/output）
+//   mcp_server_up / mcp_server_tools / mcp_server_reconnect_attempts  每个MCP服务器的连接状态
+// 另外包含Node.js进程的默认指标（CPU、内存、事件循环等）。
+//
+// 当前状态类的指标（监控数、MCP连接）在采集时通过回调读取，避免与服务状态不一致。
+
+const PREFIX = 'feishu_monitor_';
+
+// getActiveMonitorCount(): number
+// getMcpServers(): McpServerPool.status() 的返回值
+function createMetrics({ getActiveMonitorCount, getMcpServers }) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+  const metrics = {
+    registry,
+
+    activeMonitors: new client.Gauge({
+      name: `${PREFIX}active_monitors`,
+      help: '正在监控的文档数',
+      registers: [registry],
+      collect() {
+        this.set(getActiveMonitorCount());
+      }
+    }),
+
+    polls: new client.Counter({
+      name: `${PREFIX}polls_total`,
+      help: '评论拉取次数',
+      labelNames: ['document'],
+      registers: [registry]
+    }),
+
+    pollErrors: new client.Counter({
+      name: `${PREFIX}poll_errors_total`,
+      help: '评论拉取失败次数',
+      labelNames: ['document'],
+      registers: [registry]
+    }),
+
+    pollDuration: new client.Histogram({
+      name: `${PREFIX}poll_duration_seconds`,
+      help: '评论拉取耗时（秒）',
+      labelNames: ['document'],
+      buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+      registers: [registry]
+    }),
+
+    commentsDetected: new client.Counter({
+      name: `${PREFIX}comments_detected_total`,
+      help: '检测到的新增评论数',
+      labelNames: ['document'],
+      registers: [registry]
+    }),
+
+    agentRuns: new client.Counter({
+      name: `${PREFIX}agent_runs_total`,
+      help: 'Agent执行次数',
+      labelNames: ['source', 'mode', 'outcome'],
+      registers: [registry]
+    }),
+
+    agentRunDuration: new client.Histogram({
+      name: `${PREFIX}agent_run_duration_seconds`,
+      help: 'Agent执行耗时（秒）',
+      labelNames: ['source', 'mode', 'outcome'],
+      buckets: [1, 5, 10, 30, 60, 120, 300, 600],
+      registers: [registry]
+    }),
+
+    toolCalls: new client.Counter({
+      name: `${PREFIX}tool_calls_total`,
+      help: 'Agent工具调用次数',
+      labelNames: ['tool', 'status'],
+      registers: [registry]
+    }),
+
+    llmTokens: new client.Counter({
+      name: `${PREFIX}llm_tokens_total`,
+      help: '大模型token用量',
+      labelNames: ['model', 'type'],
+      registers: [registry]
+    }),
+
+    mcpServerUp: new client.Gauge({
+      name: `${PREFIX}mcp_server_up`,
+      help: 'MCP服务器是否已连接（1为已连接）',
+      labelNames: ['server'],
+      registers: [registry],
+      collect() {
+        this.reset();
+        getMcpServers().forEach(server => this.set({ server: server.name }, server.connected ? 1 : 0));
+      }
+    }),
+
+    mcpServerTools: new client.Gauge({
+      name: `${PREFIX}mcp_server_tools`,
+      help: 'MCP服务器提供的工具数',
+      labelNames: ['server'],
+      registers: [registry],
+      collect() {
+        this.reset();
+        getMcpServers().forEach(server => this.set({ server: server.name }, server.toolCount));
+      }
+    }),
+
+    mcpReconnectAttempts: new client.Gauge({
+      name: `${PREFIX}mcp_server_reconnect_attempts`,
+      help: 'MCP服务器当前连续重连次数',
+      labelNames: ['server'],
+      registers: [registry],
+      collect() {
+        this.reset();
+        getMcpServers().forEach(server => this.set({ server: server.name }, server.reconnectAttempts));
+      }
+    })
+  };
+
+  return metrics;
+}
+
+module.exports = {
+  createMetrics
+};
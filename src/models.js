@@ -0,0 +1,147 @@
+const fs = require('fs');
+const { ChatOpenAI } = require('@langchain/openai');
+const { RunnableLambda } = require('@langchain/core/runnables');
+
+// 大模型配置与路由
+//
+// 配置文件（MODELS_CONFIG，默认 ./models.json）格式：
+//   {
+//     "default": "kimi",
+//     "fallbacks": ["deepseek"],
+//     "models": {
+//       "kimi": { "provider": "openai", "model": "kimi-k2-250711", "baseURL": "https://...",
+//                 "apiKeyEnv": "VOLCES_API_KEY", "temperature": 0.3, "maxTokens": 4096 }
+//     }
+//   }
+// 没有配置文件时，使用 LLM_MODEL / OPENAI_API_BASE / VOLCES_API_KEY 生成单个 default 模型。
+// 每次执行先用选定的模型，遇到限流（429）、5xx或连接错误时按 fallbacks 顺序换用下一个模型。
+
+const MODELS_CONFIG = process.env.MODELS_CONFIG || './models.json';
+
+// 各提供方的模型构造方法，provider 为 openai 时支持所有兼容OpenAI接口的服务
+const PROVIDERS = {
+  openai: definition => new ChatOpenAI({
+    model: definition.model,
+    temperature: definition.temperature,
+    maxTokens: definition.maxTokens,
+    maxRetries: definition.maxRetries ?? 2,
+    configuration: {
+      baseURL: definition.baseURL,
+      apiKey: process.env[definition.apiKeyEnv]
+    },
+    verbose: false,
+    streaming: false
+  })
+};
+
+function loadModelConfig(path = MODELS_CONFIG) {
+  if (fs.existsSync(path)) {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  }
+
+  return {
+    default: 'default',
+    fallbacks: [],
+    models: {
+      default: {
+        provider: 'openai',
+        model: process.env.LLM_MODEL || 'kimi-k2-250711',
+        baseURL: process.env.OPENAI_API_BASE,
+        apiKeyEnv: 'VOLCES_API_KEY'
+      }
+    }
+  };
+}
+
+// 是否应该换用下一个模型：限流、服务端错误和连接失败
+function isFallbackError(error) {
+  const status = error?.status ?? error?.response?.status;
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return true;
+  }
+  return ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error?.name) ||
+    ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND'].includes(error?.code ?? error?.cause?.code);
+}
+
+class ModelRouter {
+  constructor(config) {
+    this.defaultModel = config.default;
+    this.fallbacks = config.fallbacks || [];
+    this.definitions = config.models || {};
+    this.models = new Map();
+
+    for (const name of [this.defaultModel, ...this.fallbacks]) {
+      if (!this.definitions[name]) {
+        throw new Error(`模型配置中不存在: ${name}`);
+      }
+    }
+    for (const [name, definition] of Object.entries(this.definitions)) {
+      const create = PROVIDERS[definition.provider || 'openai'];
+      if (!create) {
+        throw new Error(`模型 ${name} 使用了不支持的提供方: ${definition.provider}`);
+      }
+      this.models.set(name, create(definition));
+    }
+  }
+
+  hasModel(name) {
+    return this.models.has(name);
+  }
+
+  // 一次执行依次尝试的模型：选定的模型（默认模型）加上回退列表
+  getChain(name) {
+    const primary = name || this.defaultModel;
+    if (!this.hasModel(primary)) {
+      throw new Error(`未知的模型: ${primary}`);
+    }
+    return [primary, ...this.fallbacks.filter(item => item !== primary)];
+  }
+
+  // 生成给createReactAgent使用的模型：按 config.configurable.model 选择模型，失败时按顺序回退
+  createAgentModel(tools) {
+    const bound = new Map(
+      [...this.models].map(([name, model]) => [name, model.bindTools(tools)])
+    );
+
+    return (state, config) => RunnableLambda.from(async (input, runConfig) => {
+      const chain = this.getChain(config?.configurable?.model);
+      for (let index = 0; index < chain.length; index++) {
+        try {
+          const message = await bound.get(chain[index]).invoke(input, runConfig);
+          // 记下实际使用的模型（回退后与选定的模型不同），用于用量统计
+          message.response_metadata = { ...message.response_metadata, router_model: chain[index] };
+          return message;
+        } catch (error) {
+          if (index === chain.length - 1 || !isFallbackError(error) || runConfig?.signal?.aborted) {
+            throw error;
+          }
+          console.warn(`⚠️ 模型 ${chain[index]} 调用失败 (${error.status || error.name}: ${error.message})，改用 ${chain[index + 1]}`);
+        }
+      }
+    });
+  }
+
+  // 当前模型配置（不包含API密钥）
+  describe() {
+    return {
+      default: this.defaultModel,
+      fallbacks: this.fallbacks,
+      models: Object.entries(this.definitions).map(([name, definition]) => ({
+        name,
+        provider: definition.provider || 'openai',
+        model: definition.model,
+        baseURL: definition.baseURL || null,
+        apiKeyEnv: definition.apiKeyEnv || null,
+        apiKeyConfigured: Boolean(definition.apiKeyEnv && process.env[definition.apiKeyEnv]),
+        temperature: definition.temperature ?? null,
+        maxTokens: definition.maxTokens ?? null
+      }))
+    };
+  }
+}
+
+module.exports = {
+  loadModelConfig,
+  isFallbackError,
+  ModelRouter
+};
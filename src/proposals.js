@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// 审批模式下的修改提案
+//
+// 提案保存在存储的 proposals 集合中，状态流转：
+//   pending -> approved -> executed | failed
+//   pending -> rejected | expired
+
+const APPROVE_WORDS = ['approve', 'approved', '批准', '同意'];
+const REJECT_WORDS = ['reject', 'rejected', '拒绝', '驳回'];
+
+function createProposal(storage, { documentId, commentId, replyId, instruction, plan, requestedBy, ttlMinutes }) {
+  const now = Date.now();
+  const proposal = {
+    id: crypto.randomUUID(),
+    documentId,
+    commentId,
+    replyId,
+    instruction,
+    plan,
+    requestedBy,
+    status: 'pending',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMinutes * 60 * 1000).toISOString(),
+    decidedBy: null,
+    decidedAt: null
+  };
+  storage.set('proposals', proposal.id, proposal);
+  return proposal;
+}
+
+function updateProposal(storage, id, changes) {
+  const proposal = storage.get('proposals', id);
+  if (!proposal) {
+    return null;
+  }
+  return storage.set('proposals', id, { ...proposal, ...changes });
+}
+
+// 把已过期的待审批提案标记为expired，返回本次过期的提案
+function expireProposals(storage) {
+  const now = Date.now();
+  const expired = [];
+
+  storage.entries('proposals').forEach(([id, proposal]) => {
+    if (proposal.status === 'pending' && Date.parse(proposal.expiresAt) <= now) {
+      expired.push(updateProposal(storage, id, { status: 'expired' }));
+    }
+  });
+
+  return expired;
+}
+
+function getProposal(storage, id) {
+  expireProposals(storage);
+  return storage.get('proposals', id) || null;
+}
+
+// 获取某个评论线程中待审批的提案
+function getPendingProposal(storage, documentId, commentId) {
+  expireProposals(storage);
+  const entry = storage.entries('proposals').find(([, proposal]) =>
+    proposal.status === 'pending' &&
+    proposal.documentId === documentId &&
+    proposal.commentId === commentId
+  );
+  return entry ? entry[1] : null;
+}
+
+function listProposals(storage, { documentId, status } = {}) {
+  expireProposals(storage);
+  return storage.entries('proposals')
+    .map(([, proposal]) => proposal)
+    .filter(proposal => !documentId || proposal.documentId === documentId)
+    .filter(proposal => !status || proposal.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// 解析审批回复，返回 'approve' | 'reject' | null
+function parseDecision(text) {
+  const normalized = (text || '').trim().toLowerCase().replace(/[。.!！]+$/, '');
+  if (APPROVE_WORDS.includes(normalized)) {
+    return 'approve';
+  }
+  if (REJECT_WORDS.includes(normalized)) {
+    return 'reject';
+  }
+  return null;
+}
+
+module.exports = {
+  createProposal,
+  updateProposal,
+  expireProposals,
+  getProposal,
+  getPendingProposal,
+  listProposals,
+  parseDecision
+};
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+
+// Agent执行记录
+//
+// 每次Agent执行对应一条记录，保存在存储的 runs 集合中：
+//   { id, source, documentId, commentId, userId, caller, jobId, threadId, mode, instruction, model, status,
+//     startedAt, finishedAt, finalMessage, error, messages, toolCalls, tokenUsage, snapshots, unsnapshottedWrites,
+//     snapshotsPrunedAt, rollback }
+// messages 为执行过程的对话记录：{ role: user | agent | tool, content, toolCalls?, tool?, at }
+// userId 为下达指令的评论者，caller 为通过接口执行时的调用方，用于用量统计和审计
+// snapshots 按文档ID保存修改前(before)和修改后(after)的文档块，用于对比和回滚。
+// unsnapshottedWrites 为没有快照的写操作 { tool, reason, at }，存在时该执行不能回滚。
+// 快照超过保留期限后被删除（snapshotsPrunedAt 为删除时间），之后同样不能对比和回滚。
+
+function createRun(storage, { source, documentId = null, commentId = null, userId = null, caller = null, jobId = null, threadId = null, mode = 'execute', instruction = '', model = null }) {
+  const run = {
+    id: crypto.randomUUID(),
+    source,
+    documentId,
+    commentId,
+    userId,
+    caller,
+    jobId,
+    threadId,
+    mode,
+    instruction,
+    model,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    finalMessage: null,
+    error: null,
+    messages: [],
+    toolCalls: [],
+    tokenUsage: { input: 0, output: 0, total: 0 },
+    snapshots: {},
+    unsnapshottedWrites: [],
+    snapshotsPrunedAt: null,
+    rollback: null
+  };
+  storage.set('runs', run.id, run);
+  return run;
+}
+
+function getRun(storage, id) {
+  return storage.get('runs', id) || null;
+}
+
+function updateRun(storage, id, changes) {
+  const run = storage.get('runs', id);
+  if (!run) {
+    return null;
+  }
+  return storage.set('runs', id, { ...run, ...changes });
+}
+
+// 列出执行记录（不含快照内容和对话记录），按开始时间倒序
+function listRuns(storage, { documentId, limit = 50 } = {}) {
+  return storage.entries('runs')
+    .map(([, run]) => run)
+    .filter(run => !documentId || run.documentId === documentId)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+    .slice(0, limit)
+    .map(summarizeRun)
+    .map(({ messages, ...run }) => ({ ...run, messageCount: (messages || []).length }));
+}
+
+// 执行能否回滚，不能时返回原因
+function getRollbackBlocker(run) {
+  if (run.status === 'running') {
+    return '执行尚未结束';
+  }
+  if (run.snapshotsPrunedAt) {
+    return '文档快照已超过保留期限被删除';
+  }
+  if ((run.unsnapshottedWrites || []).length > 0) {
+    return `执行包含无法回滚的写操作: ${[...new Set(run.unsnapshottedWrites.map(item => item.tool))].join(', ')}`;
+  }
+  if (Object.keys(run.snapshots || {}).length === 0) {
+    return '该执行没有修改文档';
+  }
+  return null;
+}
+
+// 去掉快照内容，只保留快照涉及的文档
+function summarizeRun(run) {
+  const { snapshots, ...rest } = run;
+  return {
+    ...rest,
+    snapshotDocuments: Object.keys(snapshots || {}),
+    rollbackable: !getRollbackBlocker(run)
+  };
+}
+
+// 对话记录中单条内容的最大长度，过长的工具结果会被截断
+const MAX_MESSAGE_LENGTH = 4000;
+
+function appendRunMessage(storage, runId, { role, content, ...rest }) {
+  const run = storage.get('runs', runId);
+  if (!run) {
+    return;
+  }
+  const text = typeof content === 'string' ? content : JSON.stringify(content ?? '');
+  const message = {
+    role,
+    content: text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…（已截断）` : text,
+    ...rest,
+    at: new Date().toISOString()
+  };
+  storage.set('runs', runId, { ...run, messages: [...(run.messages || []), message] });
+}
+
+function recordToolCall(storage, runId, call) {
+  const run = storage.get('runs', runId);
+  if (!run) {
+    return;
+  }
+  storage.set('runs', runId, { ...run, toolCalls: [...run.toolCalls, call] });
+}
+
+// 累加一次模型调用的token用量
+function addTokenUsage(storage, runId, { input = 0, output = 0, total = 0 }) {
+  const run = storage.get('runs', runId);
+  if (!run) {
+    return;
+  }
+  storage.set('runs', runId, {
+    ...run,
+    tokenUsage: {
+      input: run.tokenUsage.input + input,
+      output: run.tokenUsage.output + output,
+      total: run.tokenUsage.total + total
+    }
+  });
+}
+
+function hasSnapshot(storage, runId, documentId, phase = 'before') {
+  return Boolean(storage.get('runs', runId)?.snapshots?.[documentId]?.[phase]);
+}
+
+function saveSnapshot(storage, runId, documentId, phase, blocks) {
+  const run = storage.get('runs', runId);
+  if (!run) {
+    return;
+  }
+  const snapshots = {
+    ...run.snapshots,
+    [documentId]: {
+      ...(run.snapshots[documentId] || {}),
+      [phase]: { capturedAt: new Date().toISOString(), blocks }
+    }
+  };
+  storage.set('runs', runId, { ...run, snapshots });
+}
+
+// 记录一次无法保存快照的写操作，该执行之后不能回滚
+function recordUnsnapshottedWrite(storage, runId, { tool, reason }) {
+  const run = storage.get('runs', runId);
+  if (!run) {
+    return;
+  }
+  const write = { tool, reason, at: new Date().toISOString() };
+  storage.set('runs', runId, { ...run, unsnapshottedWrites: [...(run.unsnapshottedWrites || []), write] });
+}
+
+// 删除结束时间早于 before（ISO时间）的执行记录中的文档快照，返回清理的执行记录数
+function pruneSnapshots(storage, before) {
+  let count = 0;
+  storage.entries('runs').forEach(([id, run]) => {
+    if (run.finishedAt && run.finishedAt < before && Object.keys(run.snapshots || {}).length > 0) {
+      storage.set('runs', id, { ...run, snapshots: {}, snapshotsPrunedAt: new Date().toISOString() });
+      count++;
+    }
+  });
+  return count;
+}
+
+// 删除结束时间早于 before（ISO时间）的执行记录，返回删除的数量
+function pruneRuns(storage, before) {
+  let count = 0;
+  storage.entries('runs').forEach(([id, run]) => {
+    if (run.finishedAt && run.finishedAt < before) {
+      storage.delete('runs', id);
+      count++;
+    }
+  });
+  return count;
+}
+
+function finishRun(storage, runId, { status, finalMessage = null, error = null }) {
+  return updateRun(storage, runId, {
+    status,
+    finalMessage,
+    error,
+    finishedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  createRun,
+  getRun,
+  updateRun,
+  listRuns,
+  summarizeRun,
+  appendRunMessage,
+  recordToolCall,
+  addTokenUsage,
+  hasSnapshot,
+  saveSnapshot,
+  recordUnsnapshottedWrite,
+  getRollbackBlocker,
+  pruneSnapshots,
+  pruneRuns,
+  finishRun
+};
@@ -0,0 +1,220 @@
+const { invokeTool, parseList } = require('./tools');
+
+// 文档快照、差异对比与回滚
+//
+// 通过MCP的飞书文档块工具读取和恢复docx文档内容，工具名称可通过环境变量覆盖。
+
+const BLOCK_LIST_TOOL = process.env.BLOCK_LIST_TOOL || 'docx_document_block_list';
+const BLOCK_PATCH_TOOL = process.env.BLOCK_PATCH_TOOL || 'docx_block_patch';
+const BLOCK_CREATE_TOOL = process.env.BLOCK_CREATE_TOOL || 'docx_block_children_create';
+const BLOCK_DELETE_TOOL = process.env.BLOCK_DELETE_TOOL || 'docx_block_children_batch_delete';
+
+// 修改范围限于docx文档块、可以用修改前快照恢复的写工具；其他写工具的修改无法回滚
+const ROLLBACK_TOOLS = process.env.ROLLBACK_TOOLS
+  ? parseList(process.env.ROLLBACK_TOOLS)
+  : [BLOCK_PATCH_TOOL, BLOCK_CREATE_TOOL, BLOCK_DELETE_TOOL, 'docx_block_batch_update'];
+
+function isRollbackTool(name) {
+  return ROLLBACK_TOOLS.includes(name);
+}
+
+// 文档块中不属于内容的字段
+const BLOCK_META_KEYS = new Set(['block_id', 'parent_id', 'children', 'block_type', 'comment_ids']);
+
+function invokeJson(tools, name, args) {
+  return invokeTool(tools, name, args, '文档块工具');
+}
+
+// 读取文档的全部块（自动翻页）
+async function captureDocumentBlocks(tools, documentId) {
+  const blocks = [];
+  let pageToken;
+
+  do {
+    const data = await invokeJson(tools, BLOCK_LIST_TOOL, {
+      document_id: documentId,
+      page_size: 500,
+      ...(pageToken ? { page_token: pageToken } : {})
+    });
+    blocks.push(...(data.items || []));
+    pageToken = data.has_more ? data.page_token : null;
+  } while (pageToken);
+
+  return blocks;
+}
+
+// 块的内容字段名（如 text、heading1、bullet）
+function getBlockContentKey(block) {
+  return Object.keys(block).find(key =>
+    !BLOCK_META_KEYS.has(key) && block[key] && typeof block[key] === 'object'
+  ) || null;
+}
+
+function getBlockText(block) {
+  const key = getBlockContentKey(block);
+  const elements = key ? block[key].elements : null;
+  if (!Array.isArray(elements)) {
+    return null;
+  }
+  return elements.map(element =>
+    element.text_run?.content ||
+    element.mention_doc?.title ||
+    element.equation?.content ||
+    ''
+  ).join('');
+}
+
+function describeBlock(block) {
+  return {
+    blockId: block.block_id,
+    parentId: block.parent_id,
+    blockType: block.block_type,
+    text: getBlockText(block)
+  };
+}
+
+function contentOf(block) {
+  const key = getBlockContentKey(block);
+  return key ? JSON.stringify(block[key]) : null;
+}
+
+// 对比两份文档块，返回新增、删除和内容变化的块
+function diffBlocks(before = [], after = []) {
+  const beforeMap = new Map(before.map(block => [block.block_id, block]));
+  const afterMap = new Map(after.map(block => [block.block_id, block]));
+
+  const added = after.filter(block => !beforeMap.has(block.block_id)).map(describeBlock);
+  const removed = before.filter(block => !afterMap.has(block.block_id)).map(describeBlock);
+  const changed = before
+    .filter(block => afterMap.has(block.block_id) && contentOf(block) !== contentOf(afterMap.get(block.block_id)))
+    .map(block => ({
+      blockId: block.block_id,
+      blockType: block.block_type,
+      before: getBlockText(block),
+      after: getBlockText(afterMap.get(block.block_id))
+    }));
+
+  return { added, removed, changed };
+}
+
+// 找到划词评论所在的文档块（块的comment_ids中包含该评论）
+function findCommentBlock(blocks, commentId) {
+  const block = blocks.find(item => (item.comment_ids || []).includes(commentId));
+  return block ? describeBlock(block) : null;
+}
+
+// 生成创建块时使用的内容
+function toCreatePayload(block) {
+  const key = getBlockContentKey(block);
+  return key ? { block_type: block.block_type, [key]: block[key] } : { block_type: block.block_type };
+}
+
+// 把文档恢复为快照中的内容
+// 1. 内容被修改的文本块恢复原有文本
+// 2. 快照之后新增的块被删除
+// 3. 被删除的块按原位置重新创建（重新创建的块会得到新的block_id）
+async function restoreDocument(tools, documentId, snapshotBlocks) {
+  const current = await captureDocumentBlocks(tools, documentId);
+  const snapshotMap = new Map(snapshotBlocks.map(block => [block.block_id, block]));
+  const currentMap = new Map(current.map(block => [block.block_id, block]));
+  const summary = { patched: 0, deleted: 0, recreated: 0, skipped: [], errors: [] };
+
+  // 恢复被修改的块
+  for (const block of snapshotBlocks) {
+    const now = currentMap.get(block.block_id);
+    if (!now || contentOf(now) === contentOf(block)) {
+      continue;
+    }
+    const key = getBlockContentKey(block);
+    if (!key || !Array.isArray(block[key].elements)) {
+      summary.skipped.push({ blockId: block.block_id, reason: '不支持恢复该类型的块' });
+      continue;
+    }
+    try {
+      await invokeJson(tools, BLOCK_PATCH_TOOL, {
+        document_id: documentId,
+        block_id: block.block_id,
+        update_text_elements: { elements: block[key].elements }
+      });
+      summary.patched++;
+    } catch (error) {
+      summary.errors.push({ blockId: block.block_id, action: 'patch', message: error.message });
+    }
+  }
+
+  // 删除新增的块，只需删除新增子树的根节点；同一父块下从后往前删，避免下标变化
+  const addedRoots = current.filter(block =>
+    !snapshotMap.has(block.block_id) && snapshotMap.has(block.parent_id)
+  );
+  const deletions = addedRoots
+    .map(block => ({
+      block,
+      index: (currentMap.get(block.parent_id)?.children || []).indexOf(block.block_id)
+    }))
+    .filter(item => item.index >= 0)
+    .sort((a, b) => b.index - a.index);
+
+  const presentIds = new Set(current.map(block => block.block_id));
+  for (const { block, index } of deletions) {
+    try {
+      await invokeJson(tools, BLOCK_DELETE_TOOL, {
+        document_id: documentId,
+        block_id: block.parent_id,
+        start_index: index,
+        end_index: index + 1
+      });
+      presentIds.delete(block.block_id);
+      summary.deleted++;
+    } catch (error) {
+      summary.errors.push({ blockId: block.block_id, action: 'delete', message: error.message });
+    }
+  }
+
+  // 重新创建被删除的块及其子块
+  async function recreate(block, parentId, index) {
+    const data = await invokeJson(tools, BLOCK_CREATE_TOOL, {
+      document_id: documentId,
+      block_id: parentId,
+      index,
+      children: [toCreatePayload(block)]
+    });
+    summary.recreated++;
+    presentIds.add(block.block_id);
+
+    const newId = data.children?.[0]?.block_id;
+    if (!newId) {
+      return;
+    }
+    const children = (block.children || []).map(id => snapshotMap.get(id)).filter(Boolean);
+    for (let i = 0; i < children.length; i++) {
+      await recreate(children[i], newId, i);
+    }
+  }
+
+  for (const block of snapshotBlocks) {
+    if (presentIds.has(block.block_id) || !presentIds.has(block.parent_id)) {
+      continue;
+    }
+    const siblings = snapshotMap.get(block.parent_id)?.children || [];
+    const index = siblings
+      .slice(0, siblings.indexOf(block.block_id))
+      .filter(id => presentIds.has(id))
+      .length;
+    try {
+      await recreate(block, block.parent_id, index);
+    } catch (error) {
+      summary.errors.push({ blockId: block.block_id, action: 'create', message: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  isRollbackTool,
+  captureDocumentBlocks,
+  diffBlocks,
+  restoreDocument,
+  findCommentBlock,
+  getBlockText
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+
+// 本地持久化存储
+//
+// 所有后端实现同一套按集合(collection)划分的键值接口：
+//   get(collection, key)          读取一条记录，不存在时返回 undefined
+//   set(collection, key, value)   写入一条记录（值需可被JSON序列化）
+//   delete(collection, key)       删除一条记录
+//   entries(collection)           返回 [key, value] 数组
+//   clear(collection)             清空集合
+//   flush()                       把未落盘的修改立即写入
+// 上层逻辑只依赖这些方法，因此可以替换为SQLite等其他后端。
+
+// 纯内存后端，进程重启后数据丢失
+class MemoryStorage {
+  constructor() {
+    this.data = {};
+  }
+
+  _collection(collection) {
+    if (!this.data[collection]) {
+      this.data[collection] = {};
+    }
+    return this.data[collection];
+  }
+
+  get(collection, key) {
+    return this.data[collection]?.[key];
+  }
+
+  set(collection, key, value) {
+    this._collection(collection)[key] = value;
+    this._changed();
+    return value;
+  }
+
+  delete(collection, key) {
+    const items = this.data[collection];
+    if (!items || !(key in items)) {
+      return false;
+    }
+    delete items[key];
+    this._changed();
+    return true;
+  }
+
+  entries(collection) {
+    return Object.entries(this.data[collection] || {});
+  }
+
+  clear(collection) {
+    if (this.data[collection]) {
+      delete this.data[collection];
+      this._changed();
+    }
+  }
+
+  _changed() {}
+
+  flush() {}
+}
+
+// JSON文件后端：修改会在短暂合并后写入磁盘，写入时先写临时文件再重命名，避免进程中断导致文件损坏
+class JsonFileStorage extends MemoryStorage {
+  constructor(filePath, { saveDelay = 200 } = {}) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.saveDelay = saveDelay;
+    this.saveTimer = null;
+    this._load();
+  }
+
+  _load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+        console.log(`💾 已加载持久化数据: ${this.filePath}`);
+      }
+    } catch (error) {
+      console.error('读取持久化数据失败，将使用空数据:', error.message);
+      this.data = {};
+    }
+  }
+
+  _changed() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelay);
+  }
+
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error('写入持久化数据失败:', error.message);
+    }
+  }
+}
+
+// 根据环境变量创建存储实例
+function createStorage(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'json';
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'json':
+      return new JsonFileStorage(options.path || process.env.STORAGE_PATH || './data/store.json');
+    default:
+      throw new Error(`不支持的存储后端: ${backend}`);
+  }
+}
+
+module.exports = {
+  MemoryStorage,
+  JsonFileStorage,
+  createStorage
+};
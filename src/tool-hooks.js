@@ -0,0 +1,84 @@
+const { DynamicStructuredTool } = require('@langchain/core/tools');
+
+// 给MCP工具套上一层钩子，使上层逻辑可以在工具调用前后介入
+//
+// 每个钩子对象可以实现以下方法（均可为async）：
+//   before(context)          调用前执行，抛出异常会阻止本次调用，异常信息作为工具错误返回给模型
+//   after(context, output)   调用成功后执行
+//   error(context, error)    调用失败后执行
+// context 包含 { toolName, args, config, runId }，runId 来自 config.configurable.agent_run_id
+
+function wrapTools(tools, hooks) {
+  return tools.map(tool => new DynamicStructuredTool({
+    name: tool.name,
+    description: tool.description,
+    schema: tool.schema,
+    responseFormat: tool.responseFormat,
+    metadata: tool.metadata,
+    defaultConfig: tool.defaultConfig,
+    func: async (args, runManager, config) => {
+      const context = {
+        toolName: tool.name,
+        args,
+        config,
+        runId: config?.configurable?.agent_run_id || null
+      };
+
+      for (const hook of hooks) {
+        if (hook.before) {
+          await hook.before(context);
+        }
+      }
+
+      let output;
+      try {
+        output = await tool.func(args, runManager, config);
+      } catch (error) {
+        for (const hook of hooks) {
+          if (hook.error) {
+            await hook.error(context, error);
+          }
+        }
+        throw error;
+      }
+
+      for (const hook of hooks) {
+        if (hook.after) {
+          await hook.after(context, output);
+        }
+      }
+      return output;
+    }
+  }));
+}
+
+// 从工具输出中取出文本内容（content_and_artifact 格式返回 [content, artifact]）
+function getToolOutputText(output) {
+  const content = Array.isArray(output) ? output[0] : output;
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.map(block => block.text || '').join('');
+  }
+  return content == null ? '' : JSON.stringify(content);
+}
+
+// 判断工具输出是否表示成功：飞书接口返回非0的code时视为失败
+function getToolOutputStatus(output) {
+  try {
+    const content = JSON.parse(getToolOutputText(output));
+    if (content && content.code !== undefined && content.code !== 0) {
+      return { success: false, message: content.msg || `code ${content.code}` };
+    }
+  } catch (error) {
+    // 非JSON输出按成功处理
+  }
+  return { success: true, message: null };
+}
+
+module.exports = {
+  wrapTools,
+  getToolOutputText,
+  getToolOutputStatus
+};
@@ -0,0 +1,86 @@
+const { isWriteTool, matchesPattern, parseList } = require('./tools');
+
+// 工具调用策略：限制Agent可以调用的工具以及可以操作的文档
+//
+// 策略字段：
+//   allow            允许调用的工具名称，支持 * 通配符，为空表示不限制
+//   deny             禁止调用的工具名称，支持 * 通配符，优先于 allow
+//   restrictDocument 为true时，参数中的文档token只能是被监控的文档；
+//                    写工具（不在只读名单中的工具）的参数中找不到任何文档token时无法确认操作对象，同样拒绝
+//   documents        restrictDocument 开启时额外允许操作的文档token
+
+// 这些参数名的值被视为文档token（参数中任意层级），覆盖文档、表格、多维表格、知识库节点和云空间文件；
+// 知识空间、文件夹等容器的ID不是文档，不做限制
+const DOCUMENT_ARG_KEYS = [
+  'file_token',
+  'document_id',
+  'obj_token',
+  'doc_token',
+  'spreadsheet_token',
+  'app_token',
+  'node_token',
+  'wiki_token',
+  'token'
+];
+
+function isDocumentArgKey(key) {
+  return DOCUMENT_ARG_KEYS.includes(key);
+}
+
+// 从环境变量读取全局默认工具策略
+function getDefaultToolPolicy() {
+  return {
+    allow: parseList(process.env.TOOL_ALLOWLIST),
+    deny: parseList(process.env.TOOL_DENYLIST),
+    restrictDocument: process.env.TOOL_RESTRICT_DOCUMENT !== 'false',
+    documents: []
+  };
+}
+
+// 收集参数中出现的文档token
+function collectDocumentTokens(args, tokens = []) {
+  if (Array.isArray(args)) {
+    args.forEach(item => collectDocumentTokens(item, tokens));
+  } else if (args && typeof args === 'object') {
+    for (const [key, value] of Object.entries(args)) {
+      if (isDocumentArgKey(key) && typeof value === 'string' && value) {
+        tokens.push(value);
+      } else {
+        collectDocumentTokens(value, tokens);
+      }
+    }
+  }
+  return tokens;
+}
+
+// 检查一次工具调用，允许时返回null，否则返回拒绝原因
+// allowedDocuments 为本次执行可以操作的文档token，为null时不做文档限制
+function checkToolCall(policy, toolName, args, allowedDocuments) {
+  if ((policy.deny || []).some(pattern => matchesPattern(toolName, pattern))) {
+    return `工具 ${toolName} 已被禁止使用`;
+  }
+
+  const allow = policy.allow || [];
+  if (allow.length > 0 && !allow.some(pattern => matchesPattern(toolName, pattern))) {
+    return `工具 ${toolName} 不在允许使用的工具列表中`;
+  }
+
+  if (policy.restrictDocument && allowedDocuments) {
+    const allowed = new Set([...allowedDocuments, ...(policy.documents || [])]);
+    const tokens = collectDocumentTokens(args);
+    const outside = tokens.find(token => !allowed.has(token));
+    if (outside) {
+      return `不允许操作当前监控文档以外的文档 ${outside}`;
+    }
+    if (tokens.length === 0 && isWriteTool(toolName)) {
+      return `无法确定工具 ${toolName} 要修改的文档，已拒绝`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getDefaultToolPolicy,
+  checkToolCall
+};
@@ -0,0 +1,108 @@
+// MCP工具的公共方法：查找和调用工具、解析工具结果、根据工具名称判断是否会修改数据
+
+// 已知只读的工具（只查询、不修改也不发送任何内容），可通过 READ_ONLY_TOOLS 覆盖（逗号分隔，支持 * 通配符）
+const DEFAULT_READ_ONLY_TOOLS = [
+  'drive_comment_list',
+  'drive_comment_get',
+  'drive_comment_reply_list',
+  'drive_file_list',
+  'drive_meta_batch_query',
+  'docx_document_get',
+  'docx_document_raw_content',
+  'docx_document_block_list',
+  'docx_block_get',
+  'docx_block_children_get',
+  'wiki_space_list',
+  'wiki_space_get_node',
+  'wiki_node_list',
+  'sheets_spreadsheet_get',
+  'sheets_sheet_query',
+  'sheets_sheet_get',
+  'sheets_values_get',
+  'bitable_app_get',
+  'bitable_table_list',
+  'bitable_field_list',
+  'bitable_record_list',
+  'bitable_record_get',
+  'bitable_record_search',
+  'contact_user_get'
+];
+
+const READ_ONLY_TOOLS = process.env.READ_ONLY_TOOLS
+  ? parseList(process.env.READ_ONLY_TOOLS)
+  : DEFAULT_READ_ONLY_TOOLS;
+
+function isReadOnlyTool(name) {
+  return READ_ONLY_TOOLS.some(pattern => matchesPattern(name, pattern));
+}
+
+// 不在只读名单中的工具一律视为写工具（包括发送消息、订阅等不修改文档的操作），未知工具按写工具处理
+function isWriteTool(name) {
+  return !isReadOnlyTool(name);
+}
+
+// 只保留只读工具
+function filterReadOnlyTools(tools) {
+  return tools.filter(tool => !isWriteTool(tool.name));
+}
+
+// 按名称查找工具，label 用于错误信息（如 评论工具、文档块工具）
+function findTool(tools, name, label = '工具') {
+  const tool = tools.find(item => item.name === name);
+  if (!tool) {
+    throw new Error(`未找到${label}: ${name}`);
+  }
+  return tool;
+}
+
+// 把工具返回的JSON字符串解析为对象，无法解析时返回 { raw }
+function parseToolResult(result) {
+  try {
+    return typeof result === 'string' ? JSON.parse(result) : result;
+  } catch (error) {
+    return { raw: result };
+  }
+}
+
+// 解析工具结果并检查飞书接口的错误码，返回其中的 data
+function getToolData(result, name) {
+  const parsed = typeof result === 'string' ? JSON.parse(result) : result;
+  if (parsed && parsed.code !== undefined && parsed.code !== 0) {
+    throw new Error(parsed.msg || `${name} 返回错误码 ${parsed.code}`);
+  }
+  return parsed?.data || parsed || {};
+}
+
+// 调用工具并返回结果中的 data
+async function invokeTool(tools, name, args, label) {
+  return getToolData(await findTool(tools, name, label).invoke(args), name);
+}
+
+// 工具名是否匹配模式，模式中的 * 匹配任意字符
+function matchesPattern(name, pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(name || '');
+}
+
+// 逗号分隔的配置列表
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  isReadOnlyTool,
+  isWriteTool,
+  filterReadOnlyTools,
+  findTool,
+  parseToolResult,
+  getToolData,
+  invokeTool,
+  matchesPattern,
+  parseList
+};
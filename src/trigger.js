@@ -0,0 +1,70 @@
+const { parseReply } = require('./comment-content');
+
+// 评论触发策略：判断一条回复是否在对机器人下达指令
+//
+// 策略字段：
+//   mention   为true时，@机器人用户即触发
+//   prefix    以该前缀开头即触发（如 /ai），为空表示不启用
+//   keywords  包含任一关键词即触发
+//   all       为true时所有回复都触发（旧行为）
+// 机器人自己发出的回复永远不会触发，防止自我循环。
+
+// 从环境变量读取全局默认触发策略
+function getDefaultTriggerPolicy() {
+  return {
+    mention: process.env.TRIGGER_MENTION !== 'false',
+    prefix: process.env.TRIGGER_PREFIX ?? '/ai',
+    keywords: (process.env.TRIGGER_KEYWORDS || '')
+      .split(',')
+      .map(keyword => keyword.trim())
+      .filter(Boolean),
+    all: process.env.TRIGGER_ALL === 'true'
+  };
+}
+
+// 回复中是否@了指定用户
+function mentionsUser(parsed, userId) {
+  return Boolean(userId) && parsed.mentions.some(item => item.userId === userId);
+}
+
+// 判断回复是否触发Agent，返回 { triggered, reason, instruction }
+// instruction 为去掉触发前缀后的指令文本
+function matchTrigger(reply, policy, botUserId) {
+  const parsed = parseReply(reply);
+  // @机器人本身不属于指令内容
+  const text = botUserId
+    ? parsed.text.split(`@${botUserId}`).join('').trim()
+    : parsed.text;
+
+  if (botUserId && reply?.user_id === botUserId) {
+    return { triggered: false, reason: 'self', instruction: text };
+  }
+
+  if (policy.all) {
+    return { triggered: true, reason: 'all', instruction: text };
+  }
+
+  if (policy.mention && mentionsUser(parsed, botUserId)) {
+    return { triggered: true, reason: 'mention', instruction: text };
+  }
+
+  if (policy.prefix && text.startsWith(policy.prefix)) {
+    return {
+      triggered: true,
+      reason: 'prefix',
+      instruction: text.slice(policy.prefix.length).trim()
+    };
+  }
+
+  const keyword = (policy.keywords || []).find(item => text.includes(item));
+  if (keyword) {
+    return { triggered: true, reason: 'keyword', instruction: text };
+  }
+
+  return { triggered: false, reason: 'no_match', instruction: text };
+}
+
+module.exports = {
+  getDefaultTriggerPolicy,
+  matchTrigger
+};
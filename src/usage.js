@@ -0,0 +1,207 @@
+// token用量统计与预算
+//
+// 用量按天汇总保存在 usage 集合中，键为 `日期|文档ID|用户ID|模型`：
+//   { date, documentId, userId, model, input, output, total, calls }
+// 日期使用服务器本地时间（YYYY-MM-DD），按月统计时把当月每天的记录相加。
+// 通过接口直接执行的Agent没有文档和评论者，documentId / userId 为 null。
+//
+// 预算字段（token数，0表示不限制）：
+//   documentDaily / documentMonthly  单个文档每天/每月的用量上限
+//   userDaily / userMonthly          单个评论者（所有文档合计）每天/每月的用量上限
+//   message                          超出预算时回复的内容，为空时自动生成
+// 默认值来自环境变量 TOKEN_BUDGET_*，每个监控可以覆盖。超出预算后新的指令会被拒绝，直到下一个统计周期。
+
+const BUDGET_LIMITS = [
+  { key: 'documentDaily', scope: 'document', period: 'day' },
+  { key: 'documentMonthly', scope: 'document', period: 'month' },
+  { key: 'userDaily', scope: 'user', period: 'day' },
+  { key: 'userMonthly', scope: 'user', period: 'month' }
+];
+
+const GROUP_FIELDS = {
+  document: 'documentId',
+  user: 'userId',
+  model: 'model'
+};
+
+// 每个监控的默认预算
+function getDefaultBudget() {
+  return {
+    documentDaily: parseInt(process.env.TOKEN_BUDGET_DOCUMENT_DAILY || '0'),
+    documentMonthly: parseInt(process.env.TOKEN_BUDGET_DOCUMENT_MONTHLY || '0'),
+    userDaily: parseInt(process.env.TOKEN_BUDGET_USER_DAILY || '0'),
+    userMonthly: parseInt(process.env.TOKEN_BUDGET_USER_MONTHLY || '0'),
+    message: process.env.TOKEN_BUDGET_MESSAGE || ''
+  };
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatDay(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatMonth(date = new Date()) {
+  return formatDay(date).slice(0, 7);
+}
+
+function getPeriodKey(date, period) {
+  return period === 'month' ? date.slice(0, 7) : date;
+}
+
+// 把起止日期（YYYY-MM-DD 或 YYYY-MM）换算为与 period 一致的周期键，格式不正确时返回 null
+// 按天统计时，只给出月份的起始日期取当月1日，截止日期取当月最后一天
+function toPeriodBound(value, period, isEnd = false) {
+  if (!/^\d{4}-\d{2}(-\d{2})?$/.test(value || '')) {
+    return null;
+  }
+  if (period === 'month') {
+    return value.slice(0, 7);
+  }
+  return value.length === 7 ? `${value}-${isEnd ? '31' : '01'}` : value;
+}
+
+// 统计周期结束（预算恢复）的时间
+function getPeriodEnd(period, now = new Date()) {
+  return period === 'month'
+    ? new Date(now.getFullYear(), now.getMonth() + 1, 1)
+    : new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+}
+
+// 累加一次模型调用的用量
+function recordUsage(storage, { documentId = null, userId = null, model = null, input = 0, output = 0, total = 0 }, now = new Date()) {
+  const date = formatDay(now);
+  const key = [date, documentId || '', userId || '', model || ''].join('|');
+  const current = storage.get('usage', key) || {
+    date,
+    documentId,
+    userId,
+    model,
+    input: 0,
+    output: 0,
+    total: 0,
+    calls: 0
+  };
+
+  return storage.set('usage', key, {
+    ...current,
+    input: current.input + input,
+    output: current.output + output,
+    total: current.total + total,
+    calls: current.calls + 1
+  });
+}
+
+// 按天或按月汇总用量
+//   period   day | month
+//   from/to  起止日期（包含），YYYY-MM-DD 或 YYYY-MM，按 period 换算后比较
+//   groupBy  额外的分组维度：document、user、model 的组合
+// 返回按周期排序的 { period, [documentId], [userId], [model], input, output, total, calls }
+function queryUsage(storage, { period = 'day', from, to, documentId, userId, model, groupBy = [] } = {}) {
+  const fields = groupBy.map(name => GROUP_FIELDS[name]);
+  const groups = new Map();
+  const start = from ? toPeriodBound(from, period) : null;
+  const end = to ? toPeriodBound(to, period, true) : null;
+
+  for (const [, record] of storage.entries('usage')) {
+    const periodKey = getPeriodKey(record.date, period);
+    if ((start && periodKey < start) || (end && periodKey > end)) {
+      continue;
+    }
+    if ((documentId && record.documentId !== documentId) ||
+        (userId && record.userId !== userId) ||
+        (model && record.model !== model)) {
+      continue;
+    }
+
+    const groupKey = [periodKey, ...fields.map(field => record[field] || '')].join('|');
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        period: periodKey,
+        ...Object.fromEntries(fields.map(field => [field, record[field]])),
+        input: 0,
+        output: 0,
+        total: 0,
+        calls: 0
+      });
+    }
+    const group = groups.get(groupKey);
+    group.input += record.input;
+    group.output += record.output;
+    group.total += record.total;
+    group.calls += record.calls;
+  }
+
+  return [...groups.values()].sort((a, b) => a.period.localeCompare(b.period));
+}
+
+// 删除日期早于 beforeDay（YYYY-MM-DD）的用量记录，返回删除的数量
+function pruneUsage(storage, beforeDay) {
+  let count = 0;
+  storage.entries('usage').forEach(([key, record]) => {
+    if (record.date < beforeDay) {
+      storage.delete('usage', key);
+      count++;
+    }
+  });
+  return count;
+}
+
+function sumUsage(storage, { period, documentId, userId }, now) {
+  const current = period === 'month' ? formatMonth(now) : formatDay(now);
+  return queryUsage(storage, { period, from: current, to: current, documentId, userId })
+    .reduce((sum, item) => sum + item.total, 0);
+}
+
+// 当前周期内各项预算的使用情况，未设置的预算和缺少对应维度的预算不列出
+function getBudgetStatus(storage, { documentId, userId }, budget, now = new Date()) {
+  return BUDGET_LIMITS
+    .filter(({ key, scope }) => budget[key] > 0 && (scope === 'document' ? documentId : userId))
+    .map(({ key, scope, period }) => {
+      const used = sumUsage(storage, {
+        period,
+        documentId: scope === 'document' ? documentId : undefined,
+        userId: scope === 'user' ? userId : undefined
+      }, now);
+      return {
+        scope,
+        period,
+        limit: budget[key],
+        used,
+        remaining: Math.max(budget[key] - used, 0),
+        exceeded: used >= budget[key],
+        resetAt: getPeriodEnd(period, now).toISOString()
+      };
+    });
+}
+
+// 检查是否已超出预算，返回第一个超出的预算，未超出时返回 null
+function checkBudget(storage, target, budget, now = new Date()) {
+  return getBudgetStatus(storage, target, budget, now).find(item => item.exceeded) || null;
+}
+
+// 超出预算时回复给评论者的内容
+function formatBudgetMessage(exceeded, budget) {
+  if (budget.message) {
+    return budget.message;
+  }
+  const scope = exceeded.scope === 'document' ? '这篇文档' : '你';
+  const period = exceeded.period === 'month' ? '本月' : '今天';
+  const resetAt = new Date(exceeded.resetAt).toLocaleString('zh-CN', { hour12: false });
+  return `抱歉，${scope}${period}的AI用量已达到上限（${exceeded.used}/${exceeded.limit} tokens），${resetAt} 后恢复。`;
+}
+
+module.exports = {
+  getDefaultBudget,
+  formatDay,
+  formatMonth,
+  toPeriodBound,
+  recordUsage,
+  queryUsage,
+  pruneUsage,
+  getBudgetStatus,
+  checkBudget,
+  formatBudgetMessage
+};